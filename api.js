@@ -0,0 +1,186 @@
+// --- Semagram API ---
+// The request handler behind server.js, which owns configuration and the
+// listening socket:
+//
+//   POST /api/semagram             SemagramParams JSON -> image/svg+xml
+//                                  ?theme= preset, then color, background
+//                                  ("none" for transparent), cap, ink;
+//                                  ?tidy=1 runs the tidy pass (tidy.js)
+//   GET  /api/semagram/:id         a past render
+//   GET  /api/semagram/:id/params  its sidecar: params, resolved theme, tidy
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import http from "http";
+import path from "path";
+import { type GraphemeStore } from "./graphemeStore";
+import { glyphMetadata } from "./metadata";
+import { GENERATOR_VERSION, freezeGraphemes, generateSegments, parseSemagramParams, renderLayersToSVGString, splitContentWords, type WordGrapheme } from "./semagram";
+import { defaultTheme, findTheme, parseTheme, themeRenderOptions } from "./theme";
+import { tidyGlyph } from "./tidy";
+
+export interface ApiConfig {
+  archiveDir: string;
+  corsOrigin: string;
+}
+
+const MAX_BODY_BYTES = 64 * 1024;
+// How long a connection closed after a 413 may keep sending before it is dropped
+const CLOSE_GRACE_MS = 2000;
+
+class HttpError extends Error {
+  status: number;
+  headers: Record<string, string>;
+  constructor(status: number, message: string, headers: Record<string, string> = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// --- Helpers ---
+// Stops reading at MAX_BODY_BYTES and answers 413 on a connection that closes
+// once the response is out. Destroying the request at once would reset the
+// socket before the client could read why.
+function readBody(req: http.IncomingMessage, res: http.ServerResponse) {
+  return new Promise<string>((resolve, reject) => {
+    let size = 0;
+    const chunks: Buffer[] = [];
+    const onData = (chunk: Buffer) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+        return;
+      }
+      req.off("data", onData);
+      req.pause();
+      res.once("finish", () => {
+        // half-close, and let what the client still sends drain until it stops or the grace runs out
+        req.resume();
+        req.socket.end();
+        setTimeout(() => req.socket.destroy(), CLOSE_GRACE_MS).unref();
+      });
+      reject(new HttpError(413, "Request body too large", { Connection: "close" }));
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Same params, style, tidy pass and generator version -> same id, so re-renders
+// overwrite in place and differently styled or tidied renders of one glyph do not
+export function renderId(json: string) {
+  return createHash("sha256").update(`${GENERATOR_VERSION}|${json}`).digest("hex").slice(0, 16);
+}
+
+async function readArchived(file: string) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === "ENOENT") throw new HttpError(404, "No such semagram");
+    throw err;
+  }
+}
+
+// --- Routes ---
+// A preset theme with any single settings from the query laid over it
+function themeFrom(query: URLSearchParams) {
+  const name = query.get("theme");
+  const base = name ? findTheme(name) : defaultTheme;
+  if (!base) throw new HttpError(400, `Unknown theme: ${name}`);
+  const color = query.get("color");
+  const background = query.get("background");
+  const cap = query.get("cap");
+  const ink = query.get("ink");
+  try {
+    return parseTheme(
+      {
+        ...(color && { stroke: color }),
+        ...(background && { background: background === "none" ? null : background }),
+        ...(cap && { lineCap: cap }),
+        ...(ink !== null && { ink: Number(ink) }),
+      },
+      base
+    );
+  } catch (err) {
+    throw new HttpError(400, (err as Error).message);
+  }
+}
+
+export function createApiHandler(config: ApiConfig, lexicon: GraphemeStore<WordGrapheme>) {
+  function send(res: http.ServerResponse, status: number, type: string, body: string, headers: Record<string, string> = {}) {
+    res.writeHead(status, { "Content-Type": type, "Access-Control-Allow-Origin": config.corsOrigin, "Access-Control-Expose-Headers": "X-Semagram-Id, Location", ...headers });
+    res.end(body);
+  }
+
+  async function createSemagram(req: http.IncomingMessage, res: http.ServerResponse, query: URLSearchParams) {
+    let body: unknown;
+    try {
+      body = JSON.parse(await readBody(req, res));
+    } catch (err) {
+      if (err instanceof HttpError) throw err;
+      throw new HttpError(400, "Body must be JSON");
+    }
+
+    let params;
+    try {
+      params = parseSemagramParams(body);
+    } catch (err) {
+      throw new HttpError(400, (err as Error).message);
+    }
+
+    const theme = themeFrom(query);
+    freezeGraphemes(splitContentWords(params.proposition), lexicon);
+    const glyph = generateSegments(params, lexicon);
+    const metadata = glyphMetadata(params, glyph);
+    const tidy = query.get("tidy") === "1" || query.get("tidy") === "true";
+    const svg = renderLayersToSVGString([{ glyph: tidy ? tidyGlyph(glyph) : glyph, params, color: theme.stroke }], { ...themeRenderOptions(theme), metadata });
+
+    const id = renderId(JSON.stringify({ params, theme, tidy }));
+    await fs.mkdir(config.archiveDir, { recursive: true });
+    await fs.writeFile(path.join(config.archiveDir, `${id}.svg`), svg);
+    await fs.writeFile(path.join(config.archiveDir, `${id}.json`), JSON.stringify({ id, generatorVersion: GENERATOR_VERSION, createdAt: new Date().toISOString(), params, theme, tidy }, null, 2));
+    // the render is archived either way; words left unsaved are frozen again next time
+    try {
+      await lexicon.flush();
+    } catch (err) {
+      console.error("Could not save graphemes", err);
+    }
+
+    send(res, 201, "image/svg+xml; charset=utf-8", svg, { "X-Semagram-Id": id, Location: `/api/semagram/${id}` });
+  }
+
+  async function handle(req: http.IncomingMessage, res: http.ServerResponse) {
+    const url = new URL(req.url || "/", "http://localhost");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, { "Access-Control-Allow-Origin": config.corsOrigin, "Access-Control-Allow-Methods": "GET, POST, OPTIONS", "Access-Control-Allow-Headers": "Content-Type" });
+      res.end();
+      return;
+    }
+
+    if (url.pathname === "/api/semagram") {
+      if (req.method !== "POST") throw new HttpError(405, "Use POST");
+      return createSemagram(req, res, url.searchParams);
+    }
+
+    const m = url.pathname.match(/^\/api\/semagram\/([a-f0-9]{16})(\/params)?$/);
+    if (m) {
+      if (req.method !== "GET") throw new HttpError(405, "Use GET");
+      if (m[2]) send(res, 200, "application/json; charset=utf-8", await readArchived(path.join(config.archiveDir, `${m[1]}.json`)));
+      else send(res, 200, "image/svg+xml; charset=utf-8", await readArchived(path.join(config.archiveDir, `${m[1]}.svg`)));
+      return;
+    }
+
+    throw new HttpError(404, "Not found");
+  }
+
+  return (req: http.IncomingMessage, res: http.ServerResponse) => {
+    handle(req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error(err);
+      const headers = err instanceof HttpError ? err.headers : {};
+      if (!res.headersSent) send(res, status, "application/json; charset=utf-8", JSON.stringify({ error: status === 500 ? "Internal error" : err.message }), headers);
+    });
+  };
+}
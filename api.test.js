@@ -0,0 +1,117 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import http from "http";
+import { type AddressInfo } from "net";
+import os from "os";
+import path from "path";
+import { createApiHandler } from "./api";
+import { createGraphemeStore, type GraphemeBackend } from "./graphemeStore";
+import { isWordGrapheme } from "./semagram";
+
+let dir: string;
+let server: http.Server;
+let base: string;
+const backend: GraphemeBackend & { fail: boolean } = {
+  fail: false,
+  async load() {
+    return [];
+  },
+  async save() {
+    if (backend.fail) throw new Error("disk full");
+  },
+};
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "heptapod-api-"));
+  server = http.createServer(createApiHandler({ archiveDir: dir, corsOrigin: "*" }, createGraphemeStore(backend, isWordGrapheme)));
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  backend.fail = false;
+  jest.restoreAllMocks();
+});
+
+const post = (body: unknown, query = "") => fetch(`${base}/api/semagram${query}`, { method: "POST", body: JSON.stringify(body) });
+
+// A raw request, so the test sees what the server answers to a body it stops reading
+function postRaw(body: Buffer) {
+  return new Promise<{ status: number; headers: http.IncomingHttpHeaders; text: string }>((resolve, reject) => {
+    const req = http.request(`${base}/api/semagram`, { method: "POST", headers: { "Content-Length": body.length } }, (res) => {
+      let text = "";
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => resolve({ status: res.statusCode!, headers: res.headers, text }));
+    });
+    // the server may hang up while the body is still going out
+    req.on("error", (err) => (req.writableFinished ? reject(err) : undefined));
+    req.end(body);
+  });
+}
+
+describe("POST /api/semagram", () => {
+  it("renders, archives and serves a semagram back", async () => {
+    const res = await post({ proposition: "Arrival", seed: "arrival" });
+    expect(res.status).toBe(201);
+    const id = res.headers.get("X-Semagram-Id")!;
+    expect(res.headers.get("Location")).toBe(`/api/semagram/${id}`);
+    const svg = await res.text();
+    expect(svg).toContain('<title id="hw-title">Semagram: “Arrival”</title>');
+
+    expect(await (await fetch(`${base}/api/semagram/${id}`)).text()).toBe(svg);
+    const sidecar = await (await fetch(`${base}/api/semagram/${id}/params`)).json();
+    expect(sidecar).toMatchObject({ id, params: { proposition: "Arrival", seed: "arrival" }, tidy: false });
+  });
+
+  it("gives a render styled with another theme its own id", async () => {
+    const body = { proposition: "Arrival", seed: "arrival" };
+    const ids = await Promise.all(["", "?theme=arrival-ink", "?color=%23ff0000", "?background=none"].map(async (q) => (await post(body, q)).headers.get("X-Semagram-Id")));
+    expect(new Set(ids).size).toBe(4);
+    expect((await post(body, "?theme=arrival-ink")).headers.get("X-Semagram-Id")).toBe(ids[1]);
+  });
+
+  it("gives a tidied render its own id", async () => {
+    const body = { proposition: "Arrival", seed: "arrival" };
+    const plain = await post(body);
+    const tidied = await post(body, "?tidy=1");
+    expect(tidied.headers.get("X-Semagram-Id")).not.toBe(plain.headers.get("X-Semagram-Id"));
+    expect(await (await fetch(`${base}/api/semagram/${tidied.headers.get("X-Semagram-Id")}/params`)).json()).toMatchObject({ tidy: true });
+    expect(await (await fetch(`${base}/api/semagram/${plain.headers.get("X-Semagram-Id")}`)).text()).toBe(await plain.text());
+  });
+
+  it("rejects bodies that are not params", async () => {
+    const res = await fetch(`${base}/api/semagram`, { method: "POST", body: "{" });
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({ error: "Body must be JSON" });
+    expect((await post({ certainty: "high" })).status).toBe(400);
+    expect(await (await post({}, "?theme=nope")).json()).toEqual({ error: "Unknown theme: nope" });
+  });
+
+  it("answers an oversized body with 413 and closes the connection", async () => {
+    const res = await postRaw(Buffer.alloc(1024 * 1024, "x"));
+    expect(res.status).toBe(413);
+    expect(res.headers.connection).toBe("close");
+    expect(JSON.parse(res.text)).toEqual({ error: "Request body too large" });
+  });
+
+  it("still answers with the render when the graphemes cannot be saved", async () => {
+    backend.fail = true;
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const res = await post({ proposition: "Unsaved words here" });
+    expect(res.status).toBe(201);
+    expect(error).toHaveBeenCalledWith("Could not save graphemes", expect.any(Error));
+  });
+});
+
+describe("GET /api/semagram/:id", () => {
+  it("404s on unknown ids and routes", async () => {
+    expect((await fetch(`${base}/api/semagram/0123456789abcdef`)).status).toBe(404);
+    expect((await fetch(`${base}/elsewhere`)).status).toBe(404);
+    expect((await fetch(`${base}/api/semagram`)).status).toBe(405);
+  });
+});
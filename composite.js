@@ -0,0 +1,177 @@
+// --- Hierarchical composite ---
+// Composite text is a tree of clauses. Lines nest under the line above them
+// by indentation, and [bracketed] spans nest under their own line:
+//
+//   I knew her [before she spoke]
+//     when time curved back
+//   and it did not matter
+//
+// Every clause is a full glyph. Subordinate clauses orbit their parent's
+// outer ring at a shared smaller scale, joined to it by a bridging stroke;
+// several top-level clauses orbit a bare hub ring. The whole tree is then
+// scaled once to fit the canvas, so any number of clauses stays in bounds.
+import { type GraphemeStore } from "./graphemeStore";
+import { withOverrides, type OverrideStore } from "./overrides";
+import {
+  TAU,
+  arcSegment,
+  generateSegments,
+  lerp,
+  type Glyph,
+  type GlyphLayer,
+  type Line,
+  type SemagramParams,
+  type WordGrapheme,
+} from "./semagram";
+
+export interface ClauseNode {
+  text: string;
+  children: ClauseNode[];
+}
+
+// Local units, the same as a lone glyph's
+const FIT_RADIUS = 340; // inside the canvas viewBox, margin included
+const ORBIT_GAP = 28; // between a parent's outer ring and its children's
+const CHILD_SCALE = 0.5; // largest a subordinate clause is drawn
+const HUB_RADIUS = 72;
+
+// --- Parsing ---
+// "a [b [c]] d" -> a d, with child b, which has child c. Unbalanced brackets
+// are read as plain text.
+function parseBrackets(line: string): ClauseNode {
+  const children: ClauseNode[] = [];
+  let text = "";
+  let depth = 0;
+  let inner = "";
+  for (const ch of line) {
+    if (ch === "[") {
+      if (depth++ > 0) inner += ch;
+    } else if (ch === "]" && depth > 0) {
+      if (--depth > 0) inner += ch;
+      else {
+        const child = parseBrackets(inner);
+        if (child.text || child.children.length) children.push(child);
+        inner = "";
+        text += " ";
+      }
+    } else if (depth > 0) inner += ch;
+    else text += ch;
+  }
+  if (depth > 0) return { text: line.replace(/[[\]]/g, " ").replace(/\s+/g, " ").trim(), children: [] };
+  return { text: text.replace(/\s+/g, " ").trim(), children };
+}
+
+export function parseClauseTree(text: string): ClauseNode[] {
+  const roots: ClauseNode[] = [];
+  const stack: Array<{ indent: number; node: ClauseNode }> = [];
+  for (const raw of text.split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+    const indent = raw.match(/^[ \t]*/)![0].replace(/\t/g, "    ").length;
+    const node = parseBrackets(raw.trim());
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    (stack.length ? stack[stack.length - 1].node.children : roots).push(node);
+    stack.push({ indent, node });
+  }
+  return roots;
+}
+
+// --- Layout ---
+type Placed = {
+  glyph: Glyph;
+  params: SemagramParams;
+  radius: number; // the glyph's own outer edge
+  extent: number; // the whole subtree's
+  children: Array<{ placed: Placed; angle: number; dist: number; scale: number }>; // angle relative to the way out from the parent
+};
+
+// Outer ring plus room for marks that stick out past it
+function glyphRadius(g: Glyph) {
+  return g.radiusBase + (g.rings - 1) * g.ringGap + g.ringGap * 0.5;
+}
+
+// A bare ring (with its centre node) for top-level clauses to orbit
+function hubGlyph(p: SemagramParams): Glyph {
+  const w = lerp(1.2, 5.5, p.certainty);
+  const half = (a0: number) => arcSegment("arc", { cx: 0, cy: 0, r: HUB_RADIUS, a0, a1: a0 + Math.PI }, w, 0.8);
+  return { segments: [[half(-Math.PI / 2), half(Math.PI / 2)]], connectors: [], spurs: [], graphemes: [], rings: 1, spokes: 0, radiusBase: HUB_RADIUS, ringGap: 0 };
+}
+
+// Children sit in evenly spaced slots on an orbit; a clause with a parent
+// keeps the slot facing it free for the bridge. They share one scale: the
+// largest that keeps neighbours from overlapping, capped at CHILD_SCALE.
+function place(glyph: Glyph, params: SemagramParams, radius: number, children: Placed[], hasParent: boolean): Placed {
+  if (!children.length) return { glyph, params, radius, extent: radius, children: [] };
+
+  const slots = children.length + (hasParent ? 1 : 0);
+  const widest = Math.max(...children.map((c) => c.extent));
+  const sin = Math.sin(Math.PI / slots);
+  const scale = slots > 2 ? Math.min(CHILD_SCALE, ((radius + ORBIT_GAP) * sin) / (widest * (1 - sin))) : CHILD_SCALE;
+  const dist = radius + ORBIT_GAP + scale * widest;
+  const first = hasParent ? 1 : 0;
+  return {
+    glyph,
+    params,
+    radius,
+    extent: dist + scale * widest,
+    // slot 0 points back at the parent, and stays free when there is one
+    children: children.map((placed, k) => ({ placed, angle: Math.PI + ((k + first) * TAU) / slots, dist, scale })),
+  };
+}
+
+type Sources = { lexicon?: GraphemeStore<WordGrapheme>; overrides?: OverrideStore };
+
+function layoutNode(node: ClauseNode, params: SemagramParams, seed: string, sources: Sources): Placed {
+  const p = { ...params, proposition: node.text, seed };
+  const children = node.children.map((child, k) => layoutNode(child, params, `${seed}.${k}`, sources));
+  const glyph = withOverrides(generateSegments(p, sources.lexicon), p, sources.overrides);
+  return place(glyph, p, glyphRadius(glyph), children, true);
+}
+
+const fmt = (n: number) => Number(n.toFixed(3));
+// Three significant digits at least, in plain decimals: each level of nesting
+// halves a clause's scale, and fixed decimals would round deep ones to 0
+const fmtScale = (n: number) => (n > 0 ? n.toFixed(Math.min(100, Math.max(3, 2 - Math.floor(Math.log10(n))))).replace(/\.?0+$/, "") : "0");
+
+// Layers for the whole tree, outermost clause first. `palette` colours
+// clauses by depth.
+export function layoutComposite(text: string, params: SemagramParams, options: Sources & { palette: string[] }): GlyphLayer[] {
+  const roots = parseClauseTree(text);
+  if (!roots.length) return [];
+
+  // top-level seeds stay seed:i, as in the old flat composite
+  const top = roots.map((node, i) => layoutNode(node, params, `${params.seed}:${i}`, options));
+  const tree = top.length === 1 ? top[0] : place(hubGlyph(params), params, HUB_RADIUS, top, false);
+  // a lone clause keeps its usual size; a tree grows or shrinks to fill the canvas
+  const fit = tree.children.length ? FIT_RADIUS / tree.extent : Math.min(1, FIT_RADIUS / tree.extent);
+  const bridgeWidth = lerp(0.8, 2.4, params.certainty);
+
+  const layers: GlyphLayer[] = [];
+  // `away` points from the parent to this clause
+  const emit = (placed: Placed, x: number, y: number, scale: number, depth: number, away: number, bridges?: Line[]) => {
+    layers.push({
+      glyph: placed.glyph,
+      params: placed.params,
+      color: options.palette[depth % options.palette.length],
+      transform: `translate(${fmt(x)} ${fmt(y)}) scale(${fmtScale(scale)})`,
+      opacity: Math.max(0.6, 1 - depth * 0.1),
+      bridges,
+    });
+    for (const child of placed.children) {
+      const angle = away + child.angle;
+      const ux = Math.cos(angle);
+      const uy = Math.sin(angle);
+      const cs = scale * child.scale;
+      const cx = x + ux * child.dist * scale;
+      const cy = y + uy * child.dist * scale;
+      // parent's outer edge to the child's, written in the child's space
+      const from = { x: x + ux * placed.radius * scale, y: y + uy * placed.radius * scale };
+      const to = { x: cx - ux * child.placed.radius * cs, y: cy - uy * child.placed.radius * cs };
+      const bridge: Line = { x1: (from.x - cx) / cs, y1: (from.y - cy) / cs, x2: (to.x - cx) / cs, y2: (to.y - cy) / cs, w: (bridgeWidth * scale) / cs, opacity: 0.55 };
+      emit(child.placed, cx, cy, cs, depth + 1, angle, [bridge]);
+    }
+  };
+  // the first child (or top-level clause) goes up and to the right
+  const firstSlot = tree.children[0]?.angle ?? 0;
+  emit(tree, 0, 0, fit, 0, -Math.PI / 4 - firstSlot);
+  return layers;
+}
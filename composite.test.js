@@ -0,0 +1,45 @@
+import { describe, expect, it } from "@jest/globals";
+import { layoutComposite, parseClauseTree } from "./composite";
+import { defaultParams } from "./semagram";
+
+const scaleOf = (transform?: string) => Number(transform?.match(/scale\(([^)]+)\)/)?.[1]);
+
+describe("parseClauseTree", () => {
+  it("nests lines by indentation and brackets under their line", () => {
+    expect(parseClauseTree("I knew her [before she spoke]\n  when time curved back\nand it did not matter")).toEqual([
+      {
+        text: "I knew her",
+        children: [
+          { text: "before she spoke", children: [] },
+          { text: "when time curved back", children: [] },
+        ],
+      },
+      { text: "and it did not matter", children: [] },
+    ]);
+  });
+
+  it("reads unbalanced brackets as text", () => {
+    expect(parseClauseTree("a [b [c] d")).toEqual([{ text: "a b c d", children: [] }]);
+  });
+});
+
+describe("layoutComposite", () => {
+  // a chain of clauses, each indented under the one before
+  const deep = Array.from({ length: 15 }, (_, depth) => `${"  ".repeat(depth)}clause ${depth}`).join("\n");
+
+  it("keeps deeply nested clauses drawn at a scale above zero", () => {
+    // each level at most halves the scale: by depth 14 it is far below 0.001
+    const layers = layoutComposite(deep, defaultParams, { palette: ["#fff"] });
+    const scales = layers.map((l) => scaleOf(l.transform));
+    expect(scales).toHaveLength(15);
+    expect(scales[14]).toBeLessThan(0.001);
+    scales.slice(1).forEach((s, depth) => {
+      expect(s).toBeGreaterThan(0);
+      expect(s).toBeLessThan(scales[depth]);
+    });
+  });
+
+  it("writes scales in plain decimals", () => {
+    for (const l of layoutComposite(deep, defaultParams, { palette: ["#fff"] })) expect(l.transform).toMatch(/scale\(\d+(\.\d+)?\)$/);
+  });
+});
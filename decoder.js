@@ -0,0 +1,372 @@
+// --- Decoder ---
+// Reads an exported single-glyph SVG back into generateSegments' structure,
+// estimates the params that shaped it and matches each word's mark against
+// known graphemes. Most params invert exactly (they map linearly onto one
+// stroke attribute); modality and perspective share a rotation and are
+// estimated; the reading order of words around the ring is only known up to
+// rotation unless a phrase and seed can be verified.
+import { type GraphemeStore } from "./graphemeStore";
+import {
+  CARRIER_SPAN,
+  GRAPHEME_RINGS,
+  MARK_SPAN,
+  TAU,
+  arcFromPath,
+  arcSegment,
+  clamp,
+  dashPattern,
+  defaultParams,
+  generateSegments,
+  generateWordGrapheme,
+  placeGrapheme,
+  polar,
+  type Glyph,
+  type Line,
+  type SemagramParams,
+  type Segment,
+  type WordGrapheme,
+} from "./semagram";
+
+export interface DecodeOptions {
+  lexicon?: GraphemeStore<WordGrapheme>;
+  vocabulary?: string[]; // extra words to try besides the lexicon
+  phrases?: string[]; // known propositions to verify against, e.g. from history
+  seeds?: string[]; // seeds to verify candidate phrases with
+  limit?: number; // how many candidate phrases to return
+}
+
+export interface DecodedCandidate {
+  phrase: string;
+  score: number; // 0..1
+  seed?: string; // set when a phrase + seed re-renders to this glyph
+}
+
+export interface DecodeResult {
+  glyph: Glyph;
+  params: Partial<SemagramParams>;
+  words: Array<Array<{ word: string; score: number }>>; // per slot, clockwise from the first carrier
+  candidates: DecodedCandidate[];
+}
+
+// --- SVG parsing ---
+type Attrs = Record<string, string>;
+
+function readElements(svg: string) {
+  // mask contents (playback) and styles are not part of the glyph
+  const body = svg.replace(/<mask\b[\s\S]*?<\/mask>/g, "").replace(/<style\b[\s\S]*?<\/style>/g, "");
+  const elements: Array<{ tag: string; attrs: Attrs }> = [];
+  for (const m of body.matchAll(/<(path|line|circle)\b([^>]*?)\/?>/g)) {
+    const attrs: Attrs = {};
+    for (const a of m[2].matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[a[1]] = a[2];
+    elements.push({ tag: m[1], attrs });
+  }
+  return elements;
+}
+
+const num = (v: string | undefined, fallback = 0) => (v === undefined || v === "" ? fallback : Number(v));
+
+function wrap(a: number) {
+  return ((a % TAU) + TAU) % TAU;
+}
+
+function wrapPi(a: number) {
+  return wrap(a + Math.PI) - Math.PI;
+}
+
+// Ring radii cluster into evenly spaced bands; returns base radius and gap
+function ringFrame(radii: number[]) {
+  const sorted = [...radii].sort((a, b) => a - b);
+  const bands: number[][] = [];
+  for (const r of sorted) {
+    const band = bands[bands.length - 1];
+    if (band && r - band[band.length - 1] < 8) band.push(r);
+    else bands.push([r]);
+  }
+  const centres = bands.map((b) => b.reduce((s, r) => s + r, 0) / b.length);
+  const gaps = centres.slice(1).map((c, i) => c - centres[i]);
+  // neighbouring bands may skip an empty ring, so use the smallest step
+  const ringGap = gaps.length ? Math.min(...gaps) : 30;
+  return { radiusBase: centres[0] ?? 100, ringGap, rings: centres.length ? Math.round((centres[centres.length - 1] - centres[0]) / ringGap) + 1 : 0 };
+}
+
+export function parseSemagramSVG(svg: string) {
+  const elements = readElements(svg);
+
+  const arcs: Array<Segment> = [];
+  for (const { tag, attrs } of elements) {
+    if (tag !== "path" || !attrs.d) continue;
+    const arc = arcFromPath(attrs.d);
+    if (!arc) continue;
+    const kind = Math.hypot(arc.cx, arc.cy) < 2 ? "arc" : "hook";
+    arcs.push(arcSegment(kind, arc, num(attrs["stroke-width"], 1), num(attrs.opacity, 1), attrs["stroke-dasharray"] || undefined));
+  }
+
+  const frame = ringFrame(arcs.filter((s) => s.kind === "arc").map((s) => s.arc.r));
+  const ringAt = (r: number) => (r - frame.radiusBase) / frame.ringGap;
+
+  // Full-gap radial lines are connectors; shorter ones are grapheme spurs
+  const lines: Line[] = [];
+  for (const { tag, attrs } of elements) {
+    if (tag !== "line") continue;
+    lines.push({ x1: num(attrs.x1), y1: num(attrs.y1), x2: num(attrs.x2), y2: num(attrs.y2), w: num(attrs["stroke-width"], 1), opacity: num(attrs.opacity, 1) });
+  }
+  const isConnector = (l: Line) => Math.abs(Math.hypot(l.x2, l.y2) - Math.hypot(l.x1, l.y1)) > frame.ringGap * 0.9;
+  const gapOf = (l: Line) => Math.max(0, Math.round(ringAt(Math.min(Math.hypot(l.x1, l.y1), Math.hypot(l.x2, l.y2)))));
+
+  // an outer ring with no arcs still shows up through the connectors reaching it
+  const rings = Math.max(frame.rings, ...lines.filter(isConnector).map((l) => gapOf(l) + 2));
+  const ringOf = (r: number) => clamp(Math.round(ringAt(r)), 0, Math.max(rings - 1, 0));
+
+  const segments: Segment[][] = Array.from({ length: rings }, () => []);
+  for (const s of arcs) {
+    if (s.kind === "arc") {
+      segments[ringOf(s.arc.r)].push(s);
+      continue;
+    }
+    // a hook touches its ring on the side facing the centre or away from it
+    const dist = Math.hypot(s.arc.cx, s.arc.cy);
+    const offRing = (r: number) => Math.abs(ringAt(r) - Math.round(ringAt(r)));
+    segments[ringOf(offRing(dist - s.arc.r) < offRing(dist + s.arc.r) ? dist - s.arc.r : dist + s.arc.r)].push(s);
+  }
+
+  const connectors: Line[][] = Array.from({ length: Math.max(rings - 1, 0) }, () => []);
+  const spurs: Line[] = [];
+  for (const l of lines) {
+    if (isConnector(l)) connectors[Math.min(gapOf(l), connectors.length - 1)]?.push(l);
+    else spurs.push(l);
+  }
+
+  // Centre node: filled disc (agency) and an optional outline (perspective)
+  const circles = elements.filter((e) => e.tag === "circle" && num(e.attrs.r) < 40);
+  const node = circles.find((c) => c.attrs.fill && c.attrs.fill !== "none");
+  const outline = circles.find((c) => c.attrs.fill === "none");
+
+  return { segments, connectors, spurs, frame: { ...frame, rings }, nodeRadius: node ? num(node.attrs.r) : undefined, hasOutline: !!outline };
+}
+
+// --- Word slots ---
+// Carriers all share one span (CARRIER_SPAN of a sector) and their start
+// angles are the word anchors. Most sit on ring 0; objects ride ring 1, where
+// they stand out from word marks, which never span more than MARK_SPAN.
+type Slot = { anchor: number; ring: number };
+
+function findSlots(segments: Segment[][]): Slot[] | null {
+  const ring0 = segments[0]?.filter((s) => s.kind === "arc") ?? [];
+  const ring1 = segments[1]?.filter((s) => s.kind === "arc") ?? [];
+  if (!ring0.length) return null;
+  const spanOf = (s: Segment) => s.arc.a1 - s.arc.a0;
+  for (let n = ring0.length; n <= ring0.length + ring1.length; n++) {
+    const expected = (TAU / n) * CARRIER_SPAN;
+    const fits = (s: Segment) => Math.abs(spanOf(s) - expected) < 0.01;
+    const outer = ring1.filter(fits);
+    if (!ring0.every(fits) || ring0.length + outer.length !== n) continue;
+    return [...ring0.map((s) => ({ anchor: wrap(s.arc.a0), ring: 0 })), ...outer.map((s) => ({ anchor: wrap(s.arc.a0), ring: 1 }))].sort((a, b) => a.anchor - b.anchor);
+  }
+  return null;
+}
+
+// How closely a grapheme placed at `anchor` explains the marks in its slot
+function scoreGrapheme(g: WordGrapheme, slot: Slot, sector: number, frame: { radiusBase: number; ringGap: number }, marks: { arcs: Segment[]; hooks: Segment[]; spurs: Line[] }) {
+  const placed = placeGrapheme(g, slot.anchor, sector, frame.radiusBase + slot.ring * frame.ringGap, frame.ringGap);
+  const TOL = 12; // px beyond which a mark counts as unmatched
+
+  const pairCost = <P, O>(predicted: P[], observed: O[], dist: (p: P, o: O) => number) => {
+    const free = [...observed];
+    let cost = 0;
+    for (const p of predicted) {
+      let best = -1;
+      let bestD = Infinity;
+      free.forEach((o, k) => {
+        const d = dist(p, o);
+        if (d < bestD) {
+          bestD = d;
+          best = k;
+        }
+      });
+      if (best >= 0 && bestD < TOL) {
+        cost += bestD / TOL;
+        free.splice(best, 1);
+      } else {
+        cost += 1;
+      }
+    }
+    return cost + free.length;
+  };
+
+  const ends = (a: Segment["arc"]) => [polar(a.cx, a.cy, a.r, a.a0), polar(a.cx, a.cy, a.r, a.a1)];
+  // arcs compare by endpoints, ignoring which end the stroke started from
+  const arcDist = (a: Segment["arc"], b: Segment["arc"]) => {
+    const [p0, p1] = ends(a);
+    const [q0, q1] = ends(b);
+    const same = Math.hypot(p0.x - q0.x, p0.y - q0.y) + Math.hypot(p1.x - q1.x, p1.y - q1.y);
+    const flip = Math.hypot(p0.x - q1.x, p0.y - q1.y) + Math.hypot(p1.x - q0.x, p1.y - q0.y);
+    return Math.min(same, flip) / 2 + Math.abs(a.r - b.r);
+  };
+  const lineDist = (a: Omit<Line, "w" | "opacity">, b: Line) => (Math.hypot(a.x1 - b.x1, a.y1 - b.y1) + Math.hypot(a.x2 - b.x2, a.y2 - b.y2)) / 2;
+
+  const cost =
+    pairCost(placed.arcs, marks.arcs, (p, o) => arcDist(p.arc, o.arc)) +
+    pairCost(placed.hooks, marks.hooks, (p, o) => arcDist(p.arc, o.arc)) +
+    pairCost(placed.spurs, marks.spurs, (p, o) => lineDist(p.line, o));
+  const total = placed.arcs.length + placed.hooks.length + placed.spurs.length + marks.arcs.length + marks.hooks.length + marks.spurs.length;
+  return total ? clamp(1 - cost / total, 0, 1) : 1;
+}
+
+// --- Param estimates ---
+function estimateParams(parsed: ReturnType<typeof parseSemagramSVG>, slots: Slot[] | null, band: number): Partial<SemagramParams> {
+  const params: Partial<SemagramParams> = {};
+  const conn = parsed.connectors.flat();
+
+  // connector width = lerp(0.6, 2.2, certainty); opacity = 0.25 + temporality * 0.25
+  if (conn.length) {
+    params.certainty = clamp((conn[0].w - 0.6) / 1.6, 0, 1);
+    params.temporality = clamp((conn[0].opacity - 0.25) / 0.25, 0, 1);
+  }
+  // node radius = lerp(6, 16, agency)
+  if (parsed.nodeRadius !== undefined) params.agency = clamp((parsed.nodeRadius - 6) / 10, 0, 1);
+
+  // ring 0 width = lerp(1.2, 5.5, certainty) * lerp(0.8, 1.15, emphasis)
+  const ring0 = parsed.segments[0]?.filter((s) => s.kind === "arc") ?? [];
+  if (params.certainty !== undefined && ring0.length) {
+    const w = ring0[0].w / (1.2 + 4.3 * params.certainty);
+    params.emphasis = clamp((w - 0.8) / 0.35, 0, 1);
+  }
+
+  // dash pattern: pick whichever negation/hypothetical combination predicts it
+  const dash = parsed.segments.flat().find((s) => s.dash)?.dash;
+  params.negation = false;
+  params.hypothetical = false;
+  if (dash) {
+    const c = params.certainty ?? 0.5;
+    const [da, ga] = dash.split(/[\s,]+/).map(Number);
+    let best = Infinity;
+    for (const [negation, hypothetical] of [[true, true], [true, false], [false, true]]) {
+      const [pa, pg] = dashPattern({ negation, hypothetical, certainty: c })!.split(" ").map(Number);
+      const d = Math.abs(pa - da) + Math.abs(pg - ga);
+      if (d < best) {
+        best = d;
+        params.negation = negation;
+        params.hypothetical = hypothetical;
+      }
+    }
+  }
+
+  // Outer spoke arcs start at TAU * s / spokes + 0.2 * bias + perspective
+  // rotation; averaging their offset cancels the per-ring jitter
+  const firstOuter = slots ? band : 0;
+  const offsets: number[] = [];
+  for (const ring of parsed.segments.slice(firstOuter)) {
+    const arcs = ring.filter((s) => s.kind === "arc");
+    if (!arcs.length) continue;
+    const sector = TAU / arcs.length;
+    for (const s of arcs) {
+      const off = wrap(s.arc.a0) % sector;
+      offsets.push(off > sector / 2 ? off - sector : off);
+    }
+  }
+  if (offsets.length) {
+    const offset = offsets.reduce((a, b) => a + b, 0) / offsets.length;
+    // the outline circle marks 2nd/3rd person; 2nd rotates +0.12, 3rd -0.12
+    const options: Array<[SemagramParams["perspective"], number]> = parsed.hasOutline ? [["2nd", 0.12], ["3rd", -0.12]] : [["1st", 0]];
+    const fits = options.map(([perspective, rot]) => ({ perspective, modality: ((offset - rot) / 0.2 + 0.6) / 1.2 }));
+    const best = fits.sort((a, b) => Math.abs(clamp(a.modality, 0, 1) - a.modality) - Math.abs(clamp(b.modality, 0, 1) - b.modality))[0];
+    params.perspective = best.perspective;
+    params.modality = clamp(best.modality, 0, 1);
+  } else {
+    params.perspective = parsed.hasOutline ? "2nd" : "1st";
+  }
+
+  return params;
+}
+
+// --- Decode ---
+export function decodeSemagramSVG(svg: string, options: DecodeOptions = {}): DecodeResult {
+  const parsed = parseSemagramSVG(svg);
+  const slots = findSlots(parsed.segments);
+  // the grapheme band grows by a ring when any word is an object
+  const band = GRAPHEME_RINGS + (slots?.some((s) => s.ring > 0) ? 1 : 0);
+  const params = estimateParams(parsed, slots, band);
+
+  // Vocabulary: everything in the lexicon plus any extra words
+  const graphemes = new Map<string, WordGrapheme>();
+  for (const r of options.lexicon?.all() ?? []) graphemes.set(r.word, r.grapheme);
+  for (const w of options.vocabulary ?? []) if (!graphemes.has(w)) graphemes.set(w, options.lexicon?.get(w)?.grapheme ?? generateWordGrapheme(w));
+
+  const words: DecodeResult["words"] = [];
+  if (slots) {
+    const sector = TAU / slots.length;
+    const inBand = parsed.segments.slice(0, band).flat();
+    const slotOf = (angle: number) => slots.findIndex((s) => wrap(angle - s.anchor) < sector * MARK_SPAN + 0.05);
+    const midAngle = (s: Segment) => (s.kind === "hook" ? Math.atan2(s.arc.cy, s.arc.cx) : (s.arc.a0 + s.arc.a1) / 2);
+    const isCarrier = (s: Segment) => s.kind === "arc" && slots.some((slot) => Math.abs(wrapPi(s.arc.a0 - slot.anchor)) < 1e-6 && Math.abs(s.arc.r - (parsed.frame.radiusBase + slot.ring * parsed.frame.ringGap)) < 2);
+
+    slots.forEach((slot, k) => {
+      const marks = {
+        arcs: inBand.filter((s) => s.kind === "arc" && !isCarrier(s) && slotOf(midAngle(s)) === k),
+        hooks: inBand.filter((s) => s.kind === "hook" && slotOf(midAngle(s)) === k),
+        spurs: parsed.spurs.filter((l) => slotOf(Math.atan2(l.y1, l.x1)) === k),
+      };
+      const ranked = Array.from(graphemes.entries())
+        .map(([word, g]) => ({ word, score: scoreGrapheme(g, slot, sector, parsed.frame, marks) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5);
+      words.push(ranked);
+    });
+  }
+
+  const glyph: Glyph = {
+    segments: parsed.segments,
+    connectors: parsed.connectors,
+    spurs: parsed.spurs,
+    graphemes: slots ? slots.map((slot, k) => ({ word: words[k][0]?.word ?? "", anchor: slot.anchor, fit: 1, ring: slot.ring })) : [],
+    rings: parsed.frame.rings,
+    spokes: parsed.segments.slice(slots ? band : 0).find((r) => r.length)?.length ?? 0,
+    radiusBase: parsed.frame.radiusBase,
+    ringGap: parsed.frame.ringGap,
+  };
+
+  return { glyph, params, words, candidates: rankCandidates(glyph, params, words, options) };
+}
+
+// Best word per slot first, then single-word swaps, for each rotation of the
+// ring; known phrases and seeds are re-rendered to confirm a match outright
+function rankCandidates(glyph: Glyph, params: Partial<SemagramParams>, words: DecodeResult["words"], options: DecodeOptions) {
+  const limit = options.limit ?? 10;
+  const out = new Map<string, DecodedCandidate>();
+  const add = (c: DecodedCandidate) => {
+    const prev = out.get(c.phrase);
+    if (!prev || c.score > prev.score || (c.seed && !prev.seed)) out.set(c.phrase, c);
+  };
+  const mean = (xs: number[]) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+
+  if (words.length && words.every((w) => w.length)) {
+    const n = words.length;
+    for (let rot = 0; rot < n; rot++) {
+      const order = Array.from({ length: n }, (_, k) => words[(k + rot) % n]);
+      add({ phrase: order.map((w) => w[0].word).join(" "), score: mean(order.map((w) => w[0].score)) });
+      order.forEach((slot, k) => {
+        for (const alt of slot.slice(1)) {
+          const picks = order.map((w, j) => (j === k ? alt : w[0]));
+          add({ phrase: picks.map((w) => w.word).join(" "), score: mean(picks.map((w) => w.score)) });
+        }
+      });
+    }
+  }
+
+  // ringGap comes straight from the phrase+seed RNG, so together with the ring
+  // count and word anchors it fingerprints a render
+  for (const phrase of options.phrases ?? []) {
+    for (const seed of options.seeds ?? []) {
+      // params the SVG could not show fall back to defaults rather than NaN geometry
+      const g = generateSegments({ ...defaultParams, ...params, proposition: phrase, seed }, options.lexicon);
+      const anchorsMatch =
+        g.graphemes.length === glyph.graphemes.length &&
+        g.graphemes.every((w) => glyph.graphemes.some((o) => Math.abs(wrapPi(o.anchor - w.anchor)) < 0.05));
+      if (g.rings === glyph.rings && Math.abs(g.ringGap - glyph.ringGap) < 0.05 && anchorsMatch) add({ phrase, seed, score: 1 });
+    }
+  }
+
+  return Array.from(out.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "@jest/globals";
+import { decodeSemagramSVG, parseSemagramSVG } from "./decoder";
+import { defaultParams, generateSegments, renderSemagramToSVGString } from "./semagram";
+
+const p = { ...defaultParams, proposition: "Heptapods offer language", seed: "louise", certainty: 0.8, agency: 0.3, temporality: 0.4, negation: true };
+const svg = renderSemagramToSVGString(p);
+const vocabulary = ["heptapods", "offer", "language", "weapon", "time", "circle"];
+
+describe("parseSemagramSVG", () => {
+  it("recovers the ring frame and every ring's parts", () => {
+    const glyph = generateSegments(p);
+    const parsed = parseSemagramSVG(svg);
+    expect(parsed.frame.rings).toBe(glyph.rings);
+    expect(parsed.frame.radiusBase).toBeCloseTo(glyph.radiusBase, 2);
+    expect(parsed.frame.ringGap).toBeCloseTo(glyph.ringGap, 2);
+    expect(parsed.segments.map((r) => r.length)).toEqual(glyph.segments.map((r) => r.length));
+  });
+});
+
+describe("decodeSemagramSVG", () => {
+  it("inverts the params drawn as single stroke attributes", () => {
+    const { params } = decodeSemagramSVG(svg);
+    expect(params).toMatchObject({ negation: true, hypothetical: false, perspective: p.perspective });
+    for (const key of ["certainty", "temporality", "agency"] as const) expect(params[key]).toBeCloseTo(p[key], 6);
+  });
+
+  it("finds each word in its slot, reading order up to rotation", () => {
+    const { words, candidates } = decodeSemagramSVG(svg, { vocabulary });
+    expect(words.map((slot) => slot[0].word).sort()).toEqual(["heptapods", "language", "offer"]);
+    expect(candidates.map((c) => c.phrase)).toContain("heptapods offer language");
+  });
+
+  it("confirms a known phrase only with the seed it was drawn from", () => {
+    const [best] = decodeSemagramSVG(svg, { vocabulary, phrases: ["Heptapods offer language", "Other words"], seeds: ["a", "louise"] }).candidates;
+    expect(best).toEqual({ phrase: "Heptapods offer language", seed: "louise", score: 1 });
+    const unseeded = decodeSemagramSVG(svg, { phrases: ["Heptapods offer language"], seeds: ["a"] }).candidates;
+    expect(unseeded.some((c) => c.seed)).toBe(false);
+  });
+
+  it("returns no candidates for a document without a glyph", () => {
+    expect(decodeSemagramSVG("<svg></svg>")).toMatchObject({ words: [], candidates: [] });
+  });
+});
@@ -0,0 +1,230 @@
+// --- Gallery ---
+// Every glyph the lab downloads or pins: the rendered SVG plus the lab state
+// that reopens it (mode, both propositions, blend amount), kept in the
+// browser. Filtering and zip export are plain functions over entries.
+import { normalizeText } from "./grammar";
+import { encodePermalink, type LabMode, type LabState } from "./permalink";
+import { type SemagramParams } from "./semagram";
+import { zipFiles } from "./zip";
+
+export type GalleryReason = "download" | "pin";
+
+export interface GalleryEntry {
+  id: string;
+  createdAt: string; // ISO timestamp
+  reason: GalleryReason;
+  state: LabState;
+  svg: string; // standalone document, shown scaled down as the thumbnail
+}
+
+// Oldest downloads go first once the gallery is full; pins are only removed by hand
+export const GALLERY_LIMIT = 300;
+
+// Params an entry was drawn from: B only counts in blend mode
+export function entryParams(e: GalleryEntry): SemagramParams[] {
+  return e.state.mode === "blend" ? [e.state.p, e.state.p2] : [e.state.p];
+}
+
+// --- Store ---
+export interface GalleryBackend {
+  load(): Promise<GalleryEntry[]>;
+  put(entry: GalleryEntry): Promise<void>;
+  remove(ids: string[]): Promise<void>;
+}
+
+export interface GalleryStore {
+  add(entry: Pick<GalleryEntry, "reason" | "state" | "svg">): GalleryEntry;
+  remove(ids: string[]): void;
+  get(id: string): GalleryEntry | undefined;
+  all(): GalleryEntry[]; // newest first
+  load(): Promise<void>;
+  subscribe(listener: () => void): () => void;
+}
+
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+export function createGalleryStore(backend?: GalleryBackend): GalleryStore {
+  const entries = new Map<string, GalleryEntry>();
+  const listeners = new Set<() => void>();
+  let saving: Promise<void> = Promise.resolve();
+
+  const notify = () => listeners.forEach((l) => l());
+  const persist = (task: (b: GalleryBackend) => Promise<void>) => {
+    if (backend) saving = saving.then(() => task(backend)).catch((err) => console.error("Could not save gallery", err));
+  };
+
+  const store: GalleryStore = {
+    add(input) {
+      const entry: GalleryEntry = { id: newId(), createdAt: new Date().toISOString(), ...input };
+      entries.set(entry.id, entry);
+      persist((b) => b.put(entry));
+      const over = entries.size - GALLERY_LIMIT;
+      if (over > 0) {
+        const stale = store.all().filter((e) => e.reason === "download").slice(-over).map((e) => e.id);
+        stale.forEach((id) => entries.delete(id));
+        persist((b) => b.remove(stale));
+      }
+      notify();
+      return entry;
+    },
+
+    remove(ids) {
+      const gone = ids.filter((id) => entries.delete(id));
+      if (!gone.length) return;
+      persist((b) => b.remove(gone));
+      notify();
+    },
+
+    get(id) {
+      return entries.get(id);
+    },
+
+    all() {
+      return Array.from(entries.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async load() {
+      if (!backend) return;
+      for (const e of await backend.load()) entries.set(e.id, e);
+      notify();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return store;
+}
+
+// --- Filtering ---
+export type RangeParam = "certainty" | "modality" | "temporality" | "agency" | "emphasis";
+
+export interface GalleryQuery {
+  words?: string; // every word must start a word of a proposition
+  seed?: string; // substring of a seed
+  mode?: LabMode;
+  ranges?: Partial<Record<RangeParam, [number, number]>>; // inclusive
+}
+
+// Accents folded away on both sides, so "elan" finds "Élan"
+const wordsOf = (text: string) =>
+  normalizeText(text)
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}']+/gu) ?? [];
+
+export function filterGallery(entries: GalleryEntry[], q: GalleryQuery) {
+  const wanted = wordsOf(q.words ?? "");
+  const seed = q.seed?.trim().toLowerCase();
+  const ranges = Object.entries(q.ranges ?? {}) as [RangeParam, [number, number]][];
+
+  return entries.filter((e) => {
+    if (q.mode && e.state.mode !== q.mode) return false;
+    const params = entryParams(e);
+    if (seed && !params.some((p) => p.seed.toLowerCase().includes(seed))) return false;
+    if (wanted.length) {
+      const words = params.flatMap((p) => wordsOf(p.proposition));
+      if (!wanted.every((w) => words.some((x) => x.startsWith(w)))) return false;
+    }
+    // any one of the entry's params may satisfy a range
+    return ranges.every(([key, [lo, hi]]) => params.some((p) => p[key] >= lo && p[key] <= hi));
+  });
+}
+
+// --- Zip export ---
+export interface GalleryManifest {
+  format: "heptapod-gallery";
+  version: 1;
+  exportedAt: string;
+  entries: Array<Omit<GalleryEntry, "svg"> & { file: string; permalink: string }>;
+}
+
+function fileStem(e: GalleryEntry) {
+  const slug = [...normalizeText(e.state.p.proposition).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, "-").replace(/^-|-$/g, "")].slice(0, 40).join("");
+  return `${slug || "semagram"}-${e.id}`;
+}
+
+// One SVG per entry plus manifest.json describing them all
+export function galleryZip(entries: GalleryEntry[]) {
+  const manifest: GalleryManifest = { format: "heptapod-gallery", version: 1, exportedAt: new Date().toISOString(), entries: [] };
+  const files = entries.map((e) => {
+    const { svg, ...rest } = e;
+    const file = `svg/${fileStem(e)}.svg`;
+    manifest.entries.push({ ...rest, file, permalink: encodePermalink(e.state) });
+    return { name: file, data: svg, date: new Date(e.createdAt) };
+  });
+  return zipFiles([...files, { name: "manifest.json", data: JSON.stringify(manifest, null, 2) }]);
+}
+
+// --- Browser backends ---
+function isEntry(x: unknown): x is GalleryEntry {
+  const e = x as GalleryEntry | null;
+  return !!e && typeof e.id === "string" && typeof e.createdAt === "string" && typeof e.svg === "string" && !!e.state?.p;
+}
+
+export function localStorageGalleryBackend(key = "heptapod-gallery"): GalleryBackend {
+  const read = (): GalleryEntry[] => {
+    const raw = window.localStorage.getItem(key);
+    return raw ? (JSON.parse(raw) as unknown[]).filter(isEntry) : [];
+  };
+  const write = (list: GalleryEntry[]) => window.localStorage.setItem(key, JSON.stringify(list));
+  return {
+    async load() {
+      return read();
+    },
+    async put(entry) {
+      write([...read().filter((e) => e.id !== entry.id), entry]);
+    },
+    async remove(ids) {
+      write(read().filter((e) => !ids.includes(e.id)));
+    },
+  };
+}
+
+export function indexedDBGalleryBackend(dbName = "heptapod-gallery", storeName = "entries"): GalleryBackend {
+  const open = () =>
+    new Promise<IDBDatabase>((resolve, reject) => {
+      const req = window.indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName, { keyPath: "id" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  // one readwrite transaction, resolved once it commits
+  const write = async (fill: (os: IDBObjectStore) => void) => {
+    const db = await open();
+    return new Promise<void>((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      fill(tx.objectStore(storeName));
+      tx.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  return {
+    async load() {
+      const db = await open();
+      return new Promise<GalleryEntry[]>((resolve, reject) => {
+        const req = db.transaction(storeName, "readonly").objectStore(storeName).getAll();
+        req.onsuccess = () => {
+          db.close();
+          resolve((req.result as unknown[]).filter(isEntry));
+        };
+        req.onerror = () => reject(req.error);
+      });
+    },
+    put: (entry) => write((os) => os.put(entry)),
+    remove: (ids) => write((os) => ids.forEach((id) => os.delete(id))),
+  };
+}
+
+// IndexedDB where available (thumbnails add up), localStorage otherwise
+export function browserGalleryBackend(): GalleryBackend {
+  return typeof window !== "undefined" && window.indexedDB ? indexedDBGalleryBackend() : localStorageGalleryBackend();
+}
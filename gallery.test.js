@@ -0,0 +1,128 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import { GALLERY_LIMIT, createGalleryStore, filterGallery, galleryZip, type GalleryBackend, type GalleryEntry, type GalleryManifest } from "./gallery";
+import { encodePermalink, type LabState } from "./permalink";
+import { defaultParams } from "./semagram";
+
+const state = (proposition: string, seed = "a"): LabState => ({ mode: "single", p: { ...defaultParams, proposition, seed }, p2: defaultParams, blend: 0.5 });
+
+function entry(id: string, s: LabState, createdAt = "2026-01-01T00:00:00.000Z"): GalleryEntry {
+  return { id, createdAt, reason: "download", state: s, svg: `<svg id="${id}"/>` };
+}
+
+// Each entry added a second after the one before, so "newest first" is well defined
+function advancingClock() {
+  const iso = Date.prototype.toISOString;
+  let now = Date.parse("2026-01-01T00:00:00.000Z");
+  jest.spyOn(Date.prototype, "toISOString").mockImplementation(() => iso.call(new Date((now += 1000))));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("createGalleryStore", () => {
+  it("lists entries newest first and lets a removed one go", () => {
+    advancingClock();
+    const store = createGalleryStore();
+    const listener = jest.fn();
+    store.subscribe(listener);
+    const first = store.add({ reason: "pin", state: state("First"), svg: "<svg/>" });
+    const second = store.add({ reason: "download", state: state("Second"), svg: "<svg/>" });
+    expect(store.all().map((e) => e.id)).toEqual([second.id, first.id]);
+    store.remove([first.id, "missing"]);
+    expect(store.get(first.id)).toBeUndefined();
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it("drops the oldest downloads once full and keeps pins", async () => {
+    advancingClock();
+    const removed: string[][] = [];
+    const backend: GalleryBackend = {
+      async load() {
+        return [];
+      },
+      async put() {},
+      async remove(ids) {
+        removed.push(ids);
+      },
+    };
+    const store = createGalleryStore(backend);
+    const pin = store.add({ reason: "pin", state: state("Pinned"), svg: "<svg/>" });
+    const oldest = store.add({ reason: "download", state: state("Oldest"), svg: "<svg/>" });
+    for (let i = 2; i < GALLERY_LIMIT; i++) store.add({ reason: "download", state: state(`Glyph ${i}`), svg: "<svg/>" });
+    expect(store.all()).toHaveLength(GALLERY_LIMIT);
+
+    store.add({ reason: "download", state: state("Newest"), svg: "<svg/>" });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(store.all()).toHaveLength(GALLERY_LIMIT);
+    expect(store.get(pin.id)).toBeDefined();
+    expect(store.get(oldest.id)).toBeUndefined();
+    expect(removed).toEqual([[oldest.id]]);
+  });
+
+  it("keeps saving after a save fails", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const saved: string[] = [];
+    let fail = true;
+    const store = createGalleryStore({
+      async load() {
+        return [entry("loaded", state("Loaded"))];
+      },
+      async put(e) {
+        if (fail) {
+          fail = false;
+          throw new Error("quota exceeded");
+        }
+        saved.push(e.id);
+      },
+      async remove() {},
+    });
+    await store.load();
+    expect(store.get("loaded")).toBeDefined();
+    store.add({ reason: "pin", state: state("One"), svg: "<svg/>" });
+    const two = store.add({ reason: "pin", state: state("Two"), svg: "<svg/>" });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(error).toHaveBeenCalledWith("Could not save gallery", expect.any(Error));
+    expect(saved).toEqual([two.id]);
+  });
+});
+
+describe("filterGallery", () => {
+  const blend: LabState = { mode: "blend", p: { ...defaultParams, proposition: "Tomorrow", seed: "b", certainty: 0.9 }, p2: { ...defaultParams, proposition: "Yesterday", certainty: 0.1 }, blend: 0.5 };
+  const entries = [entry("1", state("Élan vital", "louise")), entry("2", state("The heptapods offered a language", "ian")), entry("3", blend)];
+  const ids = (q: Parameters<typeof filterGallery>[1]) => filterGallery(entries, q).map((e) => e.id);
+
+  it("matches word prefixes with accents folded", () => {
+    expect(ids({ words: "elan" })).toEqual(["1"]);
+    expect(ids({ words: "hept lang" })).toEqual(["2"]);
+    expect(ids({ words: "hept vital" })).toEqual([]);
+  });
+
+  it("matches seeds, modes and ranges, B included in blend mode", () => {
+    expect(ids({ seed: "OUI" })).toEqual(["1"]);
+    expect(ids({ mode: "blend" })).toEqual(["3"]);
+    expect(ids({ words: "yesterday" })).toEqual(["3"]);
+    expect(ids({ ranges: { certainty: [0, 0.2] } })).toEqual(["3"]);
+    expect(ids({})).toEqual(["1", "2", "3"]);
+  });
+
+  it("ignores B outside blend mode", () => {
+    expect(filterGallery([entry("4", { ...state("Now"), p2: blend.p2 })], { words: "yesterday" })).toEqual([]);
+  });
+});
+
+describe("galleryZip", () => {
+  it("writes one SVG per entry and a manifest that points at them", () => {
+    const entries = [entry("x1", state("Élan, vital!")), entry("x2", state(""))];
+    const text = new TextDecoder().decode(galleryZip(entries));
+    expect(text).toContain("svg/élan-vital-x1.svg");
+    expect(text).toContain('<svg id="x2"/>');
+    // manifest.json is stored last and pretty-printed: it runs to the first unindented brace
+    const start = text.indexOf('{\n  "format"');
+    const manifest = JSON.parse(text.slice(start, text.indexOf("\n}", start) + 2)) as GalleryManifest;
+    expect(manifest).toMatchObject({ format: "heptapod-gallery", version: 1 });
+    expect(manifest.entries.map((e) => e.file)).toEqual(["svg/élan-vital-x1.svg", "svg/semagram-x2.svg"]);
+    expect(manifest.entries[0]).not.toHaveProperty("svg");
+    expect(manifest.entries[0].permalink).toBe(encodePermalink(entries[0].state));
+  });
+});
@@ -0,0 +1,249 @@
+// --- Golden renders ---
+// A fixed corpus of phrases, seeds and modes, rendered and checked in under
+// golden/ (one SVG per case plus manifest.json with digests of the glyph
+// geometry). The same seed and phrase must always draw the same glyph, so
+// golden.test.js fails on any difference until GENERATOR_VERSION is bumped
+// and the renders refreshed:
+//
+//   npm run test:update-golden
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { layoutComposite } from "./composite";
+import { type LabMode } from "./permalink";
+import { GENERATOR_VERSION, blendGlyphs, blendParams, defaultParams, generateSegments, renderLayersToSVGString, type GlyphLayer, type SemagramParams } from "./semagram";
+import { tidyGlyph } from "./tidy";
+
+export interface GoldenCase {
+  name: string; // file name under golden/
+  mode: LabMode;
+  p: Partial<SemagramParams>; // over defaultParams
+  p2?: Partial<SemagramParams>; // blend only
+  blend?: number;
+  tidy?: boolean;
+}
+
+export const GOLDEN_CASES: GoldenCase[] = [
+  { name: "single-default", mode: "single", p: {} },
+  { name: "single-arrival", mode: "single", p: { proposition: "Arrival", seed: "arrival" } },
+  { name: "single-empty", mode: "single", p: { proposition: "", seed: "void", temporality: 0.2 } },
+  { name: "single-negated", mode: "single", p: { proposition: "We will not go tomorrow", negation: true, certainty: 0.3 } },
+  { name: "single-hypothetical", mode: "single", p: { proposition: "If it rains she might stay", hypothetical: true, perspective: "2nd", seed: "rain" } },
+  {
+    name: "single-extremes",
+    mode: "single",
+    p: { proposition: "Nothing is ever lost", negation: true, hypothetical: true, perspective: "3rd", certainty: 1, modality: 0, temporality: 1, agency: 0, emphasis: 1 },
+  },
+  {
+    name: "single-long",
+    mode: "single",
+    p: { proposition: "The heptapods offered humanity a language that rewires how its speakers perceive time itself", seed: "louise", modality: 0.9 },
+  },
+  { name: "single-unicode", mode: "single", p: { proposition: "Élan vital — 言語は武器です", seed: "ünïcode" } },
+  { name: "composite-nested", mode: "composite", p: { proposition: "We left [because it rained]\n  and the roads flooded\nThey stayed" } },
+  { name: "composite-one-clause", mode: "composite", p: { proposition: "One clause only", seed: "solo" } },
+  { name: "blend-half", mode: "blend", p: { proposition: "She was always there" }, p2: { proposition: "Tomorrow it rains", seed: "b", certainty: 0.2 }, blend: 0.5 },
+  { name: "blend-quarter", mode: "blend", p: { proposition: "Arrival", temporality: 0.1 }, p2: { proposition: "Departure", temporality: 0.9, seed: "far" }, blend: 0.25 },
+  { name: "tidy-long", mode: "single", p: { proposition: "The heptapods offered humanity a language that rewires how its speakers perceive time itself", seed: "louise" }, tidy: true },
+];
+
+export const GOLDEN_DIR = "golden";
+
+const PALETTE = ["#fafafa", "#d1d5db", "#a3a3a3"];
+
+export function goldenLayers(c: GoldenCase): GlyphLayer[] {
+  const p = { ...defaultParams, ...c.p };
+  let layers: GlyphLayer[];
+  if (c.mode === "composite") {
+    layers = layoutComposite(p.proposition, p, { palette: PALETTE });
+  } else if (c.mode === "blend") {
+    const p2 = { ...defaultParams, ...c.p2 };
+    const t = c.blend ?? 0.5;
+    layers = [{ glyph: blendGlyphs(generateSegments(p), generateSegments(p2), t), params: blendParams(p, p2, t), color: PALETTE[0] }];
+  } else {
+    layers = [{ glyph: generateSegments(p), params: p, color: PALETTE[0] }];
+  }
+  return c.tidy ? layers.map((layer) => ({ ...layer, glyph: tidyGlyph(layer.glyph) })) : layers;
+}
+
+export interface GoldenRender {
+  svg: string;
+  glyph: string; // sha256 of the layers' geometry
+}
+
+// Numbers rounded to 1e-6, finer than any renderer writes, so the digest
+// catches geometry changes the SVG's three decimals would hide
+function geometryDigest(layers: GlyphLayer[]) {
+  const json = JSON.stringify(
+    layers.map(({ glyph, transform, opacity, bridges }) => ({ glyph, transform, opacity, bridges })),
+    (_, v) => (typeof v === "number" ? Math.round(v * 1e6) / 1e6 || 0 : v)
+  );
+  return createHash("sha256").update(json).digest("hex");
+}
+
+export function renderGolden(c: GoldenCase): GoldenRender {
+  const layers = goldenLayers(c);
+  return { svg: renderLayersToSVGString(layers), glyph: geometryDigest(layers) };
+}
+
+// --- Manifest ---
+export interface GoldenManifest {
+  format: "heptapod-golden";
+  generatorVersion: number;
+  cases: Record<string, { glyph: string; svg: string }>; // sha256 digests
+}
+
+const sha256 = (text: string) => createHash("sha256").update(text).digest("hex");
+
+export function goldenManifest(renders: Map<string, GoldenRender>): GoldenManifest {
+  const cases: GoldenManifest["cases"] = {};
+  for (const [name, r] of renders) cases[name] = { glyph: r.glyph, svg: sha256(r.svg) };
+  return { format: "heptapod-golden", generatorVersion: GENERATOR_VERSION, cases };
+}
+
+export interface GoldenComparison {
+  changed: string[]; // draws differently
+  added: string[]; // in the corpus, not yet rendered
+  removed: string[]; // rendered, no longer in the corpus
+}
+
+export function compareGoldens(manifest: GoldenManifest, renders: Map<string, GoldenRender>): GoldenComparison {
+  const now = goldenManifest(renders).cases;
+  const names = Object.keys(manifest.cases);
+  return {
+    changed: names.filter((n) => now[n] && (now[n].glyph !== manifest.cases[n].glyph || now[n].svg !== manifest.cases[n].svg)),
+    added: Object.keys(now).filter((n) => !manifest.cases[n]),
+    removed: names.filter((n) => !now[n]),
+  };
+}
+
+// --- On disk ---
+export async function readGoldens(dir = GOLDEN_DIR): Promise<GoldenManifest | null> {
+  try {
+    const doc = JSON.parse(await fs.readFile(path.join(dir, "manifest.json"), "utf8")) as GoldenManifest;
+    if (doc.format !== "heptapod-golden") throw new Error(`${dir}/manifest.json is not a golden manifest`);
+    return doc;
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export function readGoldenSVG(name: string, dir = GOLDEN_DIR) {
+  return fs.readFile(path.join(dir, `${name}.svg`), "utf8");
+}
+
+// Replaces the whole directory's worth: stale SVGs of removed cases go too
+export async function writeGoldens(renders: Map<string, GoldenRender>, dir = GOLDEN_DIR) {
+  await fs.mkdir(dir, { recursive: true });
+  for (const file of await fs.readdir(dir)) {
+    if (file.endsWith(".svg") && !renders.has(file.slice(0, -4))) await fs.unlink(path.join(dir, file));
+  }
+  for (const [name, r] of renders) await fs.writeFile(path.join(dir, `${name}.svg`), r.svg);
+  await fs.writeFile(path.join(dir, "manifest.json"), JSON.stringify(goldenManifest(renders), null, 2) + "\n");
+}
+
+// --- Visual diff ---
+// Two renders overlaid: strokes in both grey, only in the first red, only in
+// the second green. Shapes are matched by geometry, width, dash and opacity
+// under the same group transforms; colour is ignored, so a theme change alone
+// diffs clean. Shapes directly under <svg> are the backdrop and are left out.
+export interface SVGDiff {
+  svg: string;
+  common: number;
+  removed: number;
+  added: number;
+}
+
+const DIFF_COLORS = { common: "#6b7280", removed: "#ef4444", added: "#22c55e" };
+const SHAPE_KEYS: Record<string, string[]> = {
+  path: ["d"],
+  line: ["x1", "y1", "x2", "y2"],
+  circle: ["cx", "cy", "r"],
+  rect: ["x", "y", "width", "height"],
+};
+const STYLE_KEYS = ["stroke-width", "stroke-dasharray", "stroke-linecap", "opacity"];
+const HIDDEN = new Set(["mask", "style", "defs", "metadata", "title", "desc"]);
+
+interface Shape {
+  key: string;
+  markup: (color: string) => string;
+}
+
+function shapesOf(svg: string) {
+  const shapes: Shape[] = [];
+  const transforms: string[] = [];
+  let hidden = 0;
+  let depth = 0;
+  for (const m of svg.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>/g)) {
+    const [, close, name, rawAttrs, selfClose] = m;
+    const a = Object.fromEntries([...rawAttrs.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)].map((x) => [x[1], x[2]]));
+    if (name === "svg") continue;
+    if (HIDDEN.has(name)) {
+      if (!selfClose) hidden += close ? -1 : 1;
+      continue;
+    }
+    if (hidden) continue;
+    if (name === "g") {
+      if (close) {
+        transforms.pop();
+        depth--;
+      } else if (!selfClose) {
+        transforms.push(a.transform ?? "");
+        depth++;
+      }
+      continue;
+    }
+    if (close || !SHAPE_KEYS[name] || depth === 0) continue;
+
+    const chain = transforms.filter(Boolean).join(" ");
+    const geometry = SHAPE_KEYS[name].map((k) => `${k}="${a[k] ?? ""}"`).join(" ");
+    const style = STYLE_KEYS.filter((k) => a[k] !== undefined).map((k) => `${k}="${a[k]}"`).join(" ");
+    const filled = name !== "line" && a.fill !== "none";
+    const stroked = a.stroke !== undefined && a.stroke !== "none";
+    shapes.push({
+      key: `${chain}|${name} ${geometry} ${style} ${filled}`,
+      markup: (color) => {
+        const shape = `<${name} ${geometry} ${style} fill="${filled ? color : "none"}" stroke="${stroked ? color : "none"}"/>`;
+        return chain ? `<g transform="${chain}">${shape}</g>` : shape;
+      },
+    });
+  }
+  return shapes;
+}
+
+export function diffSVG(a: string, b: string, labels: [string, string] = ["first", "second"]): SVGDiff {
+  const viewBox = a.match(/<svg[^>]*\bviewBox="([^"]+)"/)?.[1] ?? "-356 -356 712 712";
+  const [vx, vy, vw, vh] = viewBox.split(/[\s,]+/).map(Number);
+
+  // multiset difference: a shape drawn twice in one file and once in the other diffs once
+  const left = new Map<string, Shape[]>();
+  for (const s of shapesOf(a)) left.set(s.key, [...(left.get(s.key) ?? []), s]);
+  const common: Shape[] = [];
+  const added: Shape[] = [];
+  for (const s of shapesOf(b)) {
+    const match = left.get(s.key);
+    if (match?.length) common.push(match.pop()!);
+    else added.push(s);
+  }
+  const removed = [...left.values()].flat();
+
+  const legend = [
+    [DIFF_COLORS.common, `in both (${common.length})`],
+    [DIFF_COLORS.removed, `only in ${labels[0]} (${removed.length})`],
+    [DIFF_COLORS.added, `only in ${labels[1]} (${added.length})`],
+  ]
+    .map(([color, text], i) => `<text x="${vx + 12}" y="${vy + 24 + i * 18}" fill="${color}" font-family="sans-serif" font-size="14">${text.replace(/&/g, "&amp;").replace(/</g, "&lt;")}</text>`)
+    .join("");
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}" width="${vw}" height="${vh}">`,
+    `<rect x="${vx}" y="${vy}" width="${vw}" height="${vh}" fill="#0a0a0a"/>`,
+    ...common.map((s) => s.markup(DIFF_COLORS.common)),
+    ...removed.map((s) => s.markup(DIFF_COLORS.removed)),
+    ...added.map((s) => s.markup(DIFF_COLORS.added)),
+    legend,
+    "</svg>",
+  ].join("");
+  return { svg, common: common.length, removed: removed.length, added: added.length };
+}
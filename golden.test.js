@@ -0,0 +1,77 @@
+// The generator against its checked-in renders (see golden.js). A glyph that
+// draws differently fails here with an overlay of old and new; if the change
+// is meant, bump GENERATOR_VERSION and refresh:
+//
+//   npm run test:update-golden
+import { describe, expect, it } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { GOLDEN_CASES, compareGoldens, diffSVG, readGoldenSVG, readGoldens, renderGolden, writeGoldens, type GoldenRender } from "./golden";
+import { GENERATOR_VERSION } from "./semagram";
+
+const DIR = path.join(__dirname, "golden");
+const DIFF_DIR = path.join(os.tmpdir(), "heptapod-golden-diff");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+const strokes = (n: number) => `${n} stroke${n === 1 ? "" : "s"}`;
+const renderAll = () => new Map<string, GoldenRender>(GOLDEN_CASES.map((c) => [c.name, renderGolden(c)]));
+
+describe("golden renders", () => {
+  it("render identically twice in one run", () => {
+    expect(renderAll()).toEqual(renderAll());
+  });
+
+  if (UPDATE) {
+    it("are refreshed", async () => {
+      const manifest = await readGoldens(DIR);
+      const renders = renderAll();
+      const { changed } = manifest ? compareGoldens(manifest, renders) : { changed: [] };
+      if (manifest?.generatorVersion === GENERATOR_VERSION && changed.length) {
+        throw new Error(
+          `Generator version ${GENERATOR_VERSION} already has renders, and these now draw differently: ${changed.join(", ")}. ` +
+            "Bump GENERATOR_VERSION in semagram.js before refreshing: permalinks (gen=) and exported files (their metadata) " +
+            "record it, so they can tell the generators apart."
+        );
+      }
+      await writeGoldens(renders, DIR);
+    });
+    return;
+  }
+
+  it("were made by this generator version", async () => {
+    const manifest = await readGoldens(DIR);
+    if (!manifest) throw new Error(`No renders in ${DIR}; create them with npm run test:update-golden`);
+    if (manifest.generatorVersion !== GENERATOR_VERSION) {
+      throw new Error(
+        `Renders are from generator version ${manifest.generatorVersion}, the code is at ${GENERATOR_VERSION}; ` +
+          "refresh with npm run test:update-golden"
+      );
+    }
+  });
+
+  it.each(GOLDEN_CASES)("$name draws as before", async (c) => {
+    const manifest = await readGoldens(DIR);
+    // the version test above reports these
+    if (!manifest || manifest.generatorVersion !== GENERATOR_VERSION) return;
+    if (!manifest.cases[c.name]) throw new Error(`${c.name} has no render yet; add it with npm run test:update-golden`);
+
+    const render = renderGolden(c);
+    const { changed } = compareGoldens({ ...manifest, cases: { [c.name]: manifest.cases[c.name] } }, new Map([[c.name, render]]));
+    if (!changed.length) return;
+
+    await fs.mkdir(DIFF_DIR, { recursive: true });
+    const actual = path.join(DIFF_DIR, `${c.name}.actual.svg`);
+    const overlay = path.join(DIFF_DIR, `${c.name}.diff.svg`);
+    const diff = diffSVG(await readGoldenSVG(c.name, DIR), render.svg, ["golden", "actual"]);
+    await fs.writeFile(actual, render.svg);
+    await fs.writeFile(overlay, diff.svg);
+    throw new Error(
+      `${c.name} no longer draws as generator version ${GENERATOR_VERSION} did ` +
+        `(${strokes(diff.removed)} gone, ${diff.added} new${diff.removed || diff.added ? "" : "; geometry moved below SVG precision"}).\n` +
+        `  overlay: ${overlay}\n  actual:  ${actual}\n` +
+        "The same params must always draw the same glyph. If this change is intended, bump GENERATOR_VERSION in semagram.js " +
+        "and refresh with npm run test:update-golden; otherwise it is a bug."
+    );
+  });
+});
@@ -0,0 +1,301 @@
+// --- Proposition analysis ---
+// A small rule-based reader: no dictionary, just closed word classes
+// (pronouns, auxiliaries, modals, negators, prepositions, subordinators) and
+// a few morphological cues. It splits a proposition into clauses, picks each
+// clause's verb, labels words around it as subject, object or modifier, and
+// collects the markers that suggest negation, modality, tense and conditionals.
+// Roles and markers are English only; other languages get tokenised and have
+// their own function words dropped, and every word counts as a modifier.
+import { type SemagramParams } from "./semagram";
+
+export type WordRole = "subject" | "verb" | "object" | "modifier";
+export type MarkerKind = "negator" | "modal" | "tense" | "conditional" | "time";
+export type Tense = "past" | "present" | "future";
+export type Language = "en" | "fr" | "es" | "de" | "it" | "pt" | "ru" | "ja" | "zh" | "ko" | "ar";
+
+export interface AnalyzedToken {
+  word: string; // as written (lowercased), contractions intact
+  clause: number;
+  role: WordRole | null; // null for function words, which draw no grapheme
+  markers: MarkerKind[];
+}
+
+export type InferredParams = Partial<Pick<SemagramParams, "negation" | "hypothetical" | "modality" | "temporality">>;
+
+export interface PropositionAnalysis {
+  language: Language;
+  tokens: AnalyzedToken[];
+  words: Array<{ word: string; role: WordRole }>; // the grapheme-bearing words, in reading order
+  tenses: Tense[]; // per clause
+  inferred: InferredParams; // only what the text gives evidence for
+}
+
+// --- Tokenising ---
+// NFC first so composed and decomposed spellings ("é" vs "e\u0301") give the
+// same words, and typographic apostrophes fold into ASCII ones
+export function normalizeText(text: string) {
+  return text.normalize("NFC").replace(/[\u2018\u2019\u02bc]/g, "'");
+}
+
+const BREAK = "\n"; // clause boundary in the token stream
+const BREAK_CHARS = /[,;:.!?\n\u3001\u3002\uff0c\uff01\uff1f\uff1b\uff1a\u060c\u061b\u061f]/u;
+const EMOJI = /\p{Extended_Pictographic}/u;
+
+// Word segmentation from Intl.Segmenter where the runtime has it (it is the
+// only way to split Japanese or Chinese, which have no spaces); otherwise
+// runs of letters, marks and digits
+function segment(text: string, language: Language) {
+  const out: string[] = [];
+  const push = (piece: string, wordLike: boolean) => {
+    if (wordLike || EMOJI.test(piece)) out.push(piece.toLowerCase());
+    else if (BREAK_CHARS.test(piece)) out.push(BREAK);
+  };
+  if (typeof Intl !== "undefined" && "Segmenter" in Intl) {
+    for (const s of new Intl.Segmenter(language, { granularity: "word" }).segment(text)) push(s.segment, !!s.isWordLike);
+  } else {
+    for (const m of text.matchAll(/[\p{L}\p{M}\p{N}']+|\p{Extended_Pictographic}(?:\u200d\p{Extended_Pictographic}|[\ufe0f\u{1f3fb}-\u{1f3ff}])*|./gsu)) {
+      push(m[0], /^[\p{L}\p{M}\p{N}']+$/u.test(m[0]));
+    }
+  }
+  return out;
+}
+
+// --- Function words per language ---
+// Words that shape the clause but carry no grapheme of their own. English
+// keeps its classes below because the role analysis needs them. Words that are
+// also content words stay out: French "été" is "been" but also "summer".
+const STOP_WORDS: Record<Exclude<Language, "en">, Set<string>> = {
+  fr: new Set(["le", "la", "les", "un", "une", "des", "du", "de", "ce", "cet", "cette", "ces", "et", "ou", "mais", "est", "sont", "était", "étaient", "être"]),
+  es: new Set(["el", "la", "los", "las", "un", "una", "unos", "unas", "y", "o", "pero", "es", "son", "era", "eran", "ser", "está", "están", "estar"]),
+  de: new Set(["der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem", "einer", "und", "oder", "aber", "ist", "sind", "war", "waren", "sein"]),
+  it: new Set(["il", "lo", "la", "i", "gli", "le", "un", "una", "uno", "e", "o", "ma", "è", "sono", "era", "erano", "essere"]),
+  pt: new Set(["o", "a", "os", "as", "um", "uma", "uns", "umas", "e", "ou", "mas", "é", "são", "era", "eram", "ser", "está", "estar"]),
+  ru: new Set(["и", "или", "но", "а", "это", "был", "была", "было", "были", "есть", "быть"]),
+  ja: new Set(["は", "が", "を", "に", "の", "で", "と", "も", "へ", "や", "か", "から", "まで", "より", "です", "だ", "ます", "た"]),
+  zh: new Set(["的", "了", "是", "在", "和", "与", "及", "着", "过", "也", "就", "吗", "呢"]),
+  ko: new Set(["그리고", "또는", "하지만", "그러나", "이다"]),
+  ar: new Set(["و", "في", "من", "على", "إلى", "عن", "أو", "لكن", "ثم"]),
+};
+
+// Elided articles are part of the next word in writing but not in meaning
+const ELISIONS: Partial<Record<Language, RegExp>> = {
+  fr: /^(?:l|d|j|m|n|s|t|c|qu|jusqu|lorsqu|puisqu)'(?=\p{L})/u,
+  it: /^(?:l|un|dell|dall|nell|sull|all|c)'(?=\p{L})/u,
+};
+
+const LATIN_LANGUAGES = ["fr", "es", "de", "it", "pt"] as const;
+
+// Script decides most languages outright; Latin text goes to whichever
+// language's function words it uses most, English by default
+export function detectLanguage(text: string): Language {
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return "ja";
+  if (/\p{Script=Hangul}/u.test(text)) return "ko";
+  if (/\p{Script=Han}/u.test(text)) return "zh";
+  if (/\p{Script=Arabic}/u.test(text)) return "ar";
+  if (/\p{Script=Cyrillic}/u.test(text)) return "ru";
+
+  const words = normalizeText(text).toLowerCase().match(/[\p{L}']+/gu) || [];
+  const english = words.filter((w) => ARTICLES.has(w) || COORDINATORS.has(w) || w in COPULAS || SUBJECT_PRONOUNS.has(w)).length;
+  let best: Language = "en";
+  let bestHits = english;
+  for (const language of LATIN_LANGUAGES) {
+    const hits = words.filter((w) => STOP_WORDS[language].has(w.replace(ELISIONS[language] ?? /^$/, "")) || ELISIONS[language]?.test(w)).length;
+    if (hits > bestHits) {
+      best = language;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// --- English word classes ---
+const ARTICLES = new Set(["the", "a", "an"]);
+const COORDINATORS = new Set(["and", "or", "but"]);
+const COPULAS: Record<string, Tense> = { is: "present", am: "present", are: "present", was: "past", were: "past", be: "present", been: "past", being: "present" };
+
+const SUBJECT_PRONOUNS = new Set(["i", "you", "he", "she", "it", "we", "they", "who", "someone", "everyone", "nobody", "nothing"]);
+const OBJECT_PRONOUNS = new Set(["me", "him", "her", "us", "them", "whom"]);
+const AUXILIARIES: Record<string, Tense> = { do: "present", does: "present", did: "past", have: "present", has: "present", had: "past" };
+// 0 = obligation, 1 = possibility, as on the modality slider
+const MODALS: Record<string, number> = { must: 0.1, ought: 0.2, shall: 0.25, should: 0.3, will: 0.45, would: 0.6, can: 0.7, could: 0.75, may: 0.8, might: 0.9 };
+const NEGATORS = new Set(["not", "no", "never", "nobody", "nothing", "none", "neither", "nor", "nowhere", "cannot"]);
+const CONDITIONALS = new Set(["if", "unless", "whether", "suppose", "supposing", "imagine", "lest", "wish"]);
+const SUBORDINATORS = new Set(["before", "after", "when", "whenever", "while", "because", "since", "until", "although", "though", "where", "once"]);
+const PREPOSITIONS = new Set(["in", "on", "at", "to", "from", "with", "by", "for", "of", "about", "into", "over", "under", "through", "between", "among", "toward", "towards", "without", "within", "across", "behind", "beyond", "near", "around", "upon"]);
+// Adverbs that bend time rather than place it; they raise temporality
+const TIME_WORDS = new Set(["always", "never", "again", "already", "still", "yet", "once", "before", "after", "soon", "ago", "back", "forever", "later", "then", "now", "today", "tonight", "tomorrow", "yesterday"]);
+const ADVERBS = new Set(["only", "just", "even", "also", "ever", "so", "too", "very", "almost", "maybe", "perhaps", "there", "here"]);
+const IRREGULAR_PAST = new Set(["knew", "saw", "went", "came", "made", "said", "told", "thought", "found", "gave", "took", "felt", "left", "became", "began", "kept", "held", "brought", "understood", "met", "ran", "wrote", "spoke", "heard", "lost", "forgot", "got", "sat", "stood", "fell", "grew", "drew", "built", "sent", "spent", "taught", "caught", "bought", "meant", "chose", "woke", "broke"]);
+
+// "can't" -> can + not, "i'll" -> i + will; the token itself is unchanged
+function expand(word: string): string[] {
+  if (word === "can't" || word === "cannot") return ["can", "not"];
+  if (word === "won't") return ["will", "not"];
+  if (word === "shan't") return ["shall", "not"];
+  if (word.endsWith("n't")) return [word.slice(0, -3), "not"];
+  const m = word.match(/^(\w+)'(ll|d|ve|re|m|s)$/);
+  if (m) return [m[1], ...({ ll: ["will"], d: ["would"], ve: ["have"], re: ["are"], m: ["am"], s: [] } as Record<string, string[]>)[m[2]]];
+  return [word];
+}
+
+const isAdverb = (w: string) => ADVERBS.has(w) || TIME_WORDS.has(w) || NEGATORS.has(w) || (w.length > 4 && w.endsWith("ly"));
+const looksPast = (w: string) => IRREGULAR_PAST.has(w) || (w.length > 4 && w.endsWith("ed"));
+const isFunction = (w: string) => ARTICLES.has(w) || COORDINATORS.has(w) || w in COPULAS;
+
+type Parts = { token: string; parts: string[] };
+
+// Index of the clause's main verb, or -1. Copulas count as the verb only when
+// nothing better turns up ("she was there" vs "she was walking").
+function findVerb(clause: Parts[]) {
+  const head = (i: number) => clause[i].parts[0];
+  const skipAdverbs = (i: number) => {
+    while (i < clause.length && isAdverb(head(i))) i++;
+    return i;
+  };
+
+  for (let i = 0; i < clause.length; i++) {
+    const parts = clause[i].parts;
+    const last = parts[parts.length - 1];
+    const helper = parts.some((w) => w in MODALS || w in AUXILIARIES || w === "to") || last === "not";
+    const copula = parts.some((w) => w in COPULAS);
+    if (!helper && !copula) continue;
+    const j = skipAdverbs(i + 1);
+    if (j >= clause.length) continue;
+    const w = head(j);
+    if (isFunction(w) || w in MODALS || w in AUXILIARIES || PREPOSITIONS.has(w)) continue;
+    if (helper || w.endsWith("ing") || looksPast(w)) return j;
+  }
+
+  for (let i = 0; i < clause.length; i++) {
+    if (!SUBJECT_PRONOUNS.has(head(i)) || clause[i].parts.length > 1) continue;
+    const j = skipAdverbs(i + 1);
+    const w = j < clause.length ? head(j) : "";
+    if (w && !isFunction(w) && !(w in MODALS) && !(w in AUXILIARIES) && !PREPOSITIONS.has(w) && !OBJECT_PRONOUNS.has(w)) return j;
+  }
+
+  const past = clause.findIndex((c) => looksPast(c.parts[0]));
+  if (past >= 0) return past;
+  const copula = clause.findIndex((c) => c.parts.some((w) => w in COPULAS));
+  if (copula >= 0) return copula;
+  // "dogs bark": the second content word is the best remaining guess
+  const content = clause.map((c, i) => (isFunction(c.parts[0]) || isAdverb(c.parts[0]) ? -1 : i)).filter((i) => i >= 0);
+  return content.length > 1 ? content[1] : -1;
+}
+
+function clauseTense(clause: Parts[]): { tense: Tense; evidence: boolean } {
+  const words = clause.flatMap((c) => c.parts);
+  if (words.some((w) => w === "will" || w === "shall") || words.join(" ").includes("going to")) return { tense: "future", evidence: true };
+  if (words.some((w) => COPULAS[w] === "past" || AUXILIARIES[w] === "past" || looksPast(w))) return { tense: "past", evidence: true };
+  return { tense: "present", evidence: words.some((w) => w in COPULAS || w in AUXILIARIES) };
+}
+
+// Everything but English: drop function words, keep the rest in reading order
+function analyzeOther(raw: string[], language: Exclude<Language, "en">): PropositionAnalysis {
+  const tokens: AnalyzedToken[] = [];
+  let clause = 0;
+  raw.forEach((token, i) => {
+    if (token === BREAK) {
+      if (tokens.length && raw[i - 1] !== BREAK) clause++;
+      return;
+    }
+    const word = ELISIONS[language] ? token.replace(ELISIONS[language]!, "") : token;
+    tokens.push({ word, clause, role: STOP_WORDS[language].has(word) ? null : "modifier", markers: [] });
+  });
+  return { language, tokens, words: tokens.filter((t) => t.role !== null).map((t) => ({ word: t.word, role: t.role! })), tenses: [], inferred: {} };
+}
+
+export function analyzeProposition(text: string, language: Language = detectLanguage(text)): PropositionAnalysis {
+  const raw = segment(normalizeText(text), language);
+  if (language !== "en") return analyzeOther(raw, language);
+
+  // Clauses break at punctuation, line breaks, subordinators and conditionals,
+  // and at a coordinator that starts a new subject ("…, and she left")
+  const clauses: Parts[][] = [[]];
+  raw.forEach((token, i) => {
+    const current = clauses[clauses.length - 1];
+    const next = raw[i + 1] ?? "";
+    const breaks =
+      token === BREAK ||
+      CONDITIONALS.has(token) ||
+      SUBORDINATORS.has(token) ||
+      (COORDINATORS.has(token) && (SUBJECT_PRONOUNS.has(next) || CONDITIONALS.has(next)));
+    if (breaks && current.length) clauses.push([]);
+    if (token !== BREAK) clauses[clauses.length - 1].push({ token, parts: expand(token) });
+  });
+  if (!clauses[clauses.length - 1].length) clauses.pop();
+
+  const tokens: AnalyzedToken[] = [];
+  const tenses: Tense[] = [];
+  let tenseEvidence = false;
+  const modals: number[] = [];
+  let negators = 0;
+  let conditionals = 0;
+  let counterfactual = false;
+  let timeWords = 0;
+
+  clauses.forEach((clause, ci) => {
+    const verb = findVerb(clause);
+    const verbIsCopula = verb >= 0 && clause[verb].parts.some((w) => w in COPULAS);
+    const { tense, evidence } = clauseTense(clause);
+    tenses.push(tense);
+    tenseEvidence ||= evidence;
+    let afterPreposition = false;
+
+    clause.forEach(({ token, parts }, i) => {
+      const head = parts[0];
+      const markers: MarkerKind[] = [];
+      if (parts.some((w) => NEGATORS.has(w))) {
+        markers.push("negator");
+        negators++;
+      }
+      const modal = parts.find((w) => w in MODALS);
+      if (modal) {
+        markers.push("modal");
+        modals.push(MODALS[modal]);
+        if (modal === "would" || modal === "might") counterfactual = true;
+      }
+      if (parts.some((w) => w in COPULAS || w in AUXILIARIES || w === "will" || w === "shall") || (i === verb && looksPast(head))) markers.push("tense");
+      if (CONDITIONALS.has(head)) {
+        markers.push("conditional");
+        conditionals++;
+      }
+      if (TIME_WORDS.has(head)) {
+        markers.push("time");
+        timeWords++;
+      }
+
+      if (PREPOSITIONS.has(head)) afterPreposition = true;
+      let role: WordRole | null;
+      if (isFunction(token)) role = null;
+      else if (i === verb) role = verbIsCopula ? null : "verb";
+      else if (SUBJECT_PRONOUNS.has(head) && (verb < 0 || i < verb)) role = "subject";
+      else if (markers.length || isAdverb(head) || PREPOSITIONS.has(head) || SUBORDINATORS.has(head)) role = "modifier";
+      else if (OBJECT_PRONOUNS.has(head) && (verb < 0 || i > verb)) role = "object";
+      else if (verb >= 0 && i > verb) role = verbIsCopula || afterPreposition ? "modifier" : "object";
+      else role = "subject";
+
+      tokens.push({ word: token, clause: ci, role, markers });
+    });
+  });
+
+  // Markers -> params; a number is only inferred when the text gives evidence
+  const inferred: InferredParams = { negation: negators > 0, hypothetical: conditionals > 0 || counterfactual };
+  if (modals.length) inferred.modality = round(modals.reduce((a, b) => a + b, 0) / modals.length);
+  if (tenseEvidence || timeWords) {
+    const base = { present: 0.3, past: 0.55, future: 0.65 }[tenses[0] ?? "present"];
+    const mixed = new Set(tenses).size > 1 ? 0.2 : 0;
+    inferred.temporality = round(Math.min(1, base + mixed + Math.min(timeWords, 3) * 0.08));
+  }
+
+  return {
+    language,
+    tokens,
+    words: tokens.filter((t) => t.role !== null).map((t) => ({ word: t.word, role: t.role! })),
+    tenses,
+    inferred,
+  };
+}
+
+function round(n: number) {
+  return Math.round(n * 100) / 100;
+}
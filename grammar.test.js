@@ -0,0 +1,74 @@
+import { describe, expect, it } from "@jest/globals";
+import { analyzeProposition, detectLanguage, normalizeText } from "./grammar";
+
+const roles = (text: string) => analyzeProposition(text).words.map((w) => `${w.word}:${w.role}`);
+
+describe("analyzeProposition", () => {
+  it("labels subject, verb and object in each clause", () => {
+    expect(roles("I knew her before she spoke")).toEqual(["i:subject", "knew:verb", "her:object", "before:modifier", "she:subject", "spoke:verb"]);
+    expect(analyzeProposition("I knew her before she spoke").tenses).toEqual(["past", "past"]);
+    expect(roles("The heptapods will offer a language")).toEqual(["heptapods:subject", "will:modifier", "offer:verb", "language:object"]);
+  });
+
+  it("draws no grapheme for articles or a copula standing in for the verb", () => {
+    expect(roles("She was always there")).toEqual(["she:subject", "always:modifier", "there:modifier"]);
+  });
+
+  it("reads negation, modals and conditionals off the markers", () => {
+    const { inferred, tokens } = analyzeProposition("If it rains, we might not go");
+    expect(inferred).toEqual({ negation: true, hypothetical: true, modality: 0.9 });
+    expect(tokens.map((t) => t.clause)).toEqual([0, 0, 0, 1, 1, 1, 1]);
+    expect(tokens.find((t) => t.word === "if")?.markers).toEqual(["conditional"]);
+  });
+
+  it("expands contractions without changing the token", () => {
+    const [, cant] = analyzeProposition("He can't stay").tokens;
+    expect(cant).toMatchObject({ word: "can't", markers: ["negator", "modal"] });
+    expect(analyzeProposition("I’ll go").tenses).toEqual(["future"]);
+  });
+
+  it("infers temporality only from tense or time words", () => {
+    expect(analyzeProposition("Dogs bark").inferred).toEqual({ negation: false, hypothetical: false });
+    expect(analyzeProposition("The heptapods will offer a language").inferred.temporality).toBe(0.65);
+    // past (0.55) and one time word (0.08)
+    expect(analyzeProposition("She was always there").inferred.temporality).toBe(0.63);
+  });
+
+  it("keeps every other language's content words as modifiers, elisions dropped", () => {
+    expect(analyzeProposition("L'homme et la mer")).toEqual({
+      language: "fr",
+      tokens: [
+        { word: "homme", clause: 0, role: "modifier", markers: [] },
+        { word: "et", clause: 0, role: null, markers: [] },
+        { word: "la", clause: 0, role: null, markers: [] },
+        { word: "mer", clause: 0, role: "modifier", markers: [] },
+      ],
+      words: [
+        { word: "homme", role: "modifier" },
+        { word: "mer", role: "modifier" },
+      ],
+      tenses: [],
+      inferred: {},
+    });
+  });
+});
+
+describe("detectLanguage", () => {
+  it.each([
+    ["Le chat est sur la table", "fr"],
+    ["Der Hund und die Katze", "de"],
+    ["El perro y el gato", "es"],
+    ["こんにちは世界", "ja"],
+    ["Привет мир", "ru"],
+    ["The dog", "en"],
+    ["Arrival", "en"],
+  ])("%j is %s", (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+});
+
+describe("normalizeText", () => {
+  it("composes accents and folds typographic apostrophes", () => {
+    expect(normalizeText("e\u0301te\u0301 l\u2019amour")).toBe("\u00e9t\u00e9 l'amour");
+  });
+});
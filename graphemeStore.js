@@ -0,0 +1,217 @@
+// --- Grapheme store ---
+// Keeps every word's first-rendered grapheme so later generator changes never
+// redraw a word that already has a mark. Lookups are synchronous against an
+// in-memory map; backends persist it in the background.
+
+export interface GraphemeRecord<G = unknown> {
+  word: string; // normalised key
+  version: number; // generator version that drew it
+  createdAt: string; // ISO timestamp
+  grapheme: G;
+}
+
+export interface LexiconDocument<G = unknown> {
+  format: "heptapod-lexicon";
+  version: 1;
+  exportedAt: string;
+  graphemes: GraphemeRecord<G>[];
+}
+
+export interface GraphemeBackend {
+  load(): Promise<GraphemeRecord[]>;
+  save(records: GraphemeRecord[]): Promise<void>;
+}
+
+export interface GraphemeStore<G> {
+  get(word: string): GraphemeRecord<G> | undefined;
+  put(record: GraphemeRecord<G>): boolean;
+  all(): GraphemeRecord<G>[];
+  size(): number;
+  load(): Promise<void>;
+  flush(): Promise<void>;
+  exportLexicon(): LexiconDocument<G>;
+  importLexicon(doc: unknown, options?: { overwrite?: boolean }): number;
+  subscribe(listener: () => void): () => void;
+}
+
+const SAVE_DELAY_MS = 300;
+
+export function normalizeWord(word: string) {
+  return word.normalize("NFC").trim().toLowerCase();
+}
+
+// `isGrapheme` checks the shape of every grapheme loaded or imported; records
+// that fail it are dropped like any other malformed record
+export function createGraphemeStore<G>(backend?: GraphemeBackend, isGrapheme: (g: unknown) => g is G = isPresent): GraphemeStore<G> {
+  const records = new Map<string, GraphemeRecord<G>>();
+  const listeners = new Set<() => void>();
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  let saving: Promise<void> = Promise.resolve();
+
+  const notify = () => listeners.forEach((l) => l());
+
+  // Saves run one after another, and a failed one does not stop the next:
+  // only the caller of the save that failed sees its error
+  function save(b: GraphemeBackend) {
+    const current = saving.then(() => b.save(Array.from(records.values())));
+    saving = current.catch(() => {});
+    return current;
+  }
+
+  function scheduleSave() {
+    if (!backend) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = undefined;
+      save(backend).catch((err) => console.error("Could not save graphemes", err));
+    }, SAVE_DELAY_MS);
+  }
+
+  const store: GraphemeStore<G> = {
+    get(word) {
+      return records.get(normalizeWord(word));
+    },
+
+    // First write wins: a frozen word is never replaced by put()
+    put(record) {
+      const key = normalizeWord(record.word);
+      if (records.has(key)) return false;
+      records.set(key, { ...record, word: key });
+      scheduleSave();
+      notify();
+      return true;
+    },
+
+    all() {
+      return Array.from(records.values()).sort((a, b) => a.word.localeCompare(b.word));
+    },
+
+    size() {
+      return records.size;
+    },
+
+    // Persisted records win over anything frozen before the load finished
+    async load() {
+      if (!backend) return;
+      const stored = parseRecords(await backend.load(), isGrapheme);
+      for (const r of stored) records.set(r.word, r);
+      notify();
+    },
+
+    // Rejects only if the save it starts fails; background saves log their own
+    async flush() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = undefined;
+        if (backend) return save(backend);
+      }
+      await saving;
+    },
+
+    exportLexicon() {
+      return { format: "heptapod-lexicon", version: 1, exportedAt: new Date().toISOString(), graphemes: store.all() };
+    },
+
+    // Returns how many words were added or replaced
+    importLexicon(doc, options = {}) {
+      const incoming = parseLexicon(doc, isGrapheme);
+      let count = 0;
+      for (const r of incoming) {
+        if (records.has(r.word) && !options.overwrite) continue;
+        records.set(r.word, r);
+        count++;
+      }
+      if (count) {
+        scheduleSave();
+        notify();
+      }
+      return count;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return store;
+}
+
+// --- Lexicon documents ---
+function isPresent<G>(g: unknown): g is G {
+  return !!g;
+}
+
+export function parseLexicon<G>(doc: unknown, isGrapheme: (g: unknown) => g is G = isPresent): GraphemeRecord<G>[] {
+  const d = doc as Partial<LexiconDocument<G>> | null;
+  if (!d || d.format !== "heptapod-lexicon" || !Array.isArray(d.graphemes)) {
+    throw new Error("Not a heptapod lexicon document");
+  }
+  if (d.version !== 1) throw new Error(`Unsupported lexicon version: ${d.version}`);
+  return parseRecords(d.graphemes, isGrapheme);
+}
+
+function parseRecords<G>(list: unknown[], isGrapheme: (g: unknown) => g is G): GraphemeRecord<G>[] {
+  return list
+    .filter((r): r is GraphemeRecord<G> => {
+      const x = r as GraphemeRecord<G> | null;
+      return !!x && typeof x.word === "string" && typeof x.version === "number" && typeof x.createdAt === "string" && isGrapheme(x.grapheme);
+    })
+    .map((r) => ({ ...r, word: normalizeWord(r.word) }));
+}
+
+// --- Browser backends ---
+export function localStorageBackend(key = "heptapod-lexicon"): GraphemeBackend {
+  return {
+    async load() {
+      const raw = window.localStorage.getItem(key);
+      return raw ? parseLexicon(JSON.parse(raw)) : [];
+    },
+    async save(records) {
+      const doc: LexiconDocument = { format: "heptapod-lexicon", version: 1, exportedAt: new Date().toISOString(), graphemes: records };
+      window.localStorage.setItem(key, JSON.stringify(doc));
+    },
+  };
+}
+
+export function indexedDBBackend(dbName = "heptapod", storeName = "graphemes"): GraphemeBackend {
+  const open = () =>
+    new Promise<IDBDatabase>((resolve, reject) => {
+      const req = window.indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName, { keyPath: "word" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  return {
+    async load() {
+      const db = await open();
+      return new Promise<GraphemeRecord[]>((resolve, reject) => {
+        const req = db.transaction(storeName, "readonly").objectStore(storeName).getAll();
+        req.onsuccess = () => {
+          db.close();
+          resolve(req.result);
+        };
+        req.onerror = () => reject(req.error);
+      });
+    },
+    async save(records) {
+      const db = await open();
+      return new Promise<void>((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        const os = tx.objectStore(storeName);
+        records.forEach((r) => os.put(r));
+        tx.oncomplete = () => {
+          db.close();
+          resolve();
+        };
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+  };
+}
+
+// IndexedDB where available, localStorage otherwise
+export function browserBackend(): GraphemeBackend {
+  return typeof window !== "undefined" && window.indexedDB ? indexedDBBackend() : localStorageBackend();
+}
@@ -0,0 +1,122 @@
+import { afterAll, afterEach, describe, expect, it, jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { createGraphemeStore, parseLexicon, type GraphemeBackend, type GraphemeRecord } from "./graphemeStore";
+import { jsonDirectoryBackend } from "./graphemeStoreNode";
+import { GRAPHEME_VERSION, generateWordGrapheme, isWordGrapheme, type WordGrapheme } from "./semagram";
+
+const record = (word: string): GraphemeRecord<WordGrapheme> => ({ word, version: GRAPHEME_VERSION, createdAt: "2026-01-01T00:00:00.000Z", grapheme: generateWordGrapheme(word) });
+const lexicon = (graphemes: unknown[]) => ({ format: "heptapod-lexicon", version: 1, exportedAt: "2026-01-01T00:00:00.000Z", graphemes });
+
+function memoryBackend(stored: unknown[] = []) {
+  const saves: GraphemeRecord[][] = [];
+  let failures = 0;
+  const backend: GraphemeBackend = {
+    async load() {
+      return stored as GraphemeRecord[];
+    },
+    async save(records) {
+      if (failures > 0) {
+        failures--;
+        throw new Error("disk full");
+      }
+      saves.push(records);
+    },
+  };
+  return { backend, saves, failNext: () => failures++ };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("parseLexicon", () => {
+  it("keeps well-formed records and normalises their words", () => {
+    expect(parseLexicon(lexicon([{ ...record("mer"), word: " MER " }]), isWordGrapheme)).toEqual([record("mer")]);
+  });
+
+  it("drops records whose grapheme is not a word grapheme", () => {
+    const bad = [
+      null,
+      { ...record("a"), version: "1" },
+      { ...record("b"), grapheme: null },
+      { ...record("c"), grapheme: { ...generateWordGrapheme("c"), arcs: [{ ring: 7, a0: 0, span: 1, w: 1 }] } },
+      { ...record("d"), grapheme: { ...generateWordGrapheme("d"), width: NaN } },
+      { ...record("e"), grapheme: { ...generateWordGrapheme("e"), hooks: [{ ring: 0, a: 0, r: 1, turn: 1, side: 0, w: 1 }] } },
+    ];
+    expect(parseLexicon(lexicon([...bad, record("ok")]), isWordGrapheme).map((r) => r.word)).toEqual(["ok"]);
+  });
+
+  it("rejects other documents", () => {
+    expect(() => parseLexicon({ graphemes: [] })).toThrow("Not a heptapod lexicon document");
+    expect(() => parseLexicon({ ...lexicon([]), version: 2 })).toThrow("Unsupported lexicon version: 2");
+  });
+});
+
+describe("createGraphemeStore", () => {
+  it("keeps a word's first grapheme", () => {
+    const store = createGraphemeStore();
+    expect(store.put(record("mer"))).toBe(true);
+    expect(store.put({ ...record("mer"), createdAt: "later" })).toBe(false);
+    expect(store.get("Mer")?.createdAt).toBe(record("mer").createdAt);
+  });
+
+  it("loads only records that pass the grapheme check", async () => {
+    const { backend } = memoryBackend([record("mer"), { ...record("ciel"), grapheme: { word: "ciel" } }]);
+    const store = createGraphemeStore(backend, isWordGrapheme);
+    await store.load();
+    expect(store.all().map((r) => r.word)).toEqual(["mer"]);
+  });
+
+  it("imports only records that pass the grapheme check", () => {
+    const store = createGraphemeStore(undefined, isWordGrapheme);
+    expect(store.importLexicon(lexicon([record("mer"), { ...record("ciel"), grapheme: 1 }]))).toBe(1);
+    expect(store.size()).toBe(1);
+  });
+
+  it("keeps saving after a save fails", async () => {
+    const { backend, saves, failNext } = memoryBackend();
+    const store = createGraphemeStore(backend, isWordGrapheme);
+    failNext();
+    store.put(record("mer"));
+    await expect(store.flush()).rejects.toThrow("disk full");
+    store.put(record("ciel"));
+    await store.flush();
+    expect(saves.map((s) => s.map((r) => r.word))).toEqual([["mer", "ciel"]]);
+  });
+});
+
+describe("jsonDirectoryBackend", () => {
+  const dirs: string[] = [];
+  const tmp = async () => {
+    dirs.push(await fs.mkdtemp(path.join(os.tmpdir(), "heptapod-graphemes-")));
+    return dirs[dirs.length - 1];
+  };
+  afterAll(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+  it("saves one file per word and loads them back", async () => {
+    const dir = await tmp();
+    await jsonDirectoryBackend(dir).save([record("mer"), record("l'été")]);
+    expect((await fs.readdir(dir)).sort()).toEqual(["l'%C3%A9t%C3%A9.json", "mer.json"]);
+    const loaded = await jsonDirectoryBackend(dir).load();
+    expect(loaded.sort((a, b) => a.word.localeCompare(b.word))).toEqual([record("l'été"), record("mer")]);
+  });
+
+  it("skips damaged files with a warning naming each", async () => {
+    const dir = await tmp();
+    await jsonDirectoryBackend(dir).save([record("mer")]);
+    await fs.writeFile(path.join(dir, "broken.json"), '{"word": "br');
+    await fs.writeFile(path.join(dir, "empty.json"), "null");
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(await jsonDirectoryBackend(dir).load()).toEqual([record("mer")]);
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining(path.join(dir, "broken.json")));
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining(path.join(dir, "empty.json")));
+  });
+
+  it("loads nothing from a directory that does not exist", async () => {
+    expect(await jsonDirectoryBackend(path.join(await tmp(), "missing")).load()).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { parseLexicon, type GraphemeBackend, type GraphemeRecord, type LexiconDocument } from "./graphemeStore";
+
+// --- Node backend: one lexicon document on disk ---
+export function jsonFileBackend(file: string): GraphemeBackend {
+  return {
+    async load() {
+      try {
+        return parseLexicon(JSON.parse(await fs.readFile(file, "utf8")));
+      } catch (err) {
+        if ((err as NodeJS.ErrnoException).code === "ENOENT") return [];
+        throw err;
+      }
+    },
+    async save(records) {
+      const doc: LexiconDocument = { format: "heptapod-lexicon", version: 1, exportedAt: new Date().toISOString(), graphemes: records };
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // write-then-rename so a crash never leaves half a lexicon behind
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+      await fs.rename(tmp, file);
+    },
+  };
+}
+
+// --- Node backend: one JSON file per word, for archiving individual graphemes ---
+export function jsonDirectoryBackend(dir: string): GraphemeBackend {
+  // what is already on disk, so save() only touches new or replaced words
+  const written = new Map<string, string>();
+  const fileFor = (word: string) => path.join(dir, `${encodeURIComponent(word)}.json`);
+
+  return {
+    async load() {
+      let names: string[];
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if ((err as NodeJS.ErrnoException).code === "ENOENT") return [];
+        throw err;
+      }
+      const records: GraphemeRecord[] = [];
+      for (const name of names.filter((n) => n.endsWith(".json"))) {
+        const file = path.join(dir, name);
+        // one damaged file costs its own word, not the whole lexicon
+        let record: GraphemeRecord | null;
+        try {
+          record = JSON.parse(await fs.readFile(file, "utf8")) as GraphemeRecord | null;
+        } catch (err) {
+          console.warn(`Skipping grapheme file ${file}: ${(err as Error).message}`);
+          continue;
+        }
+        if (!record || typeof record.word !== "string") {
+          console.warn(`Skipping grapheme file ${file}: not a grapheme record`);
+          continue;
+        }
+        written.set(record.word, JSON.stringify(record));
+        records.push(record);
+      }
+      return records;
+    },
+    async save(records) {
+      await fs.mkdir(dir, { recursive: true });
+      for (const record of records) {
+        const json = JSON.stringify(record);
+        if (written.get(record.word) === json) continue;
+        await fs.writeFile(fileFor(record.word), JSON.stringify(record, null, 2));
+        written.set(record.word, json);
+      }
+    },
+  };
+}
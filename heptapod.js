@@ -0,0 +1,197 @@
+// heptapod: render semagram SVGs from the command line
+//
+//   heptapod "She was always there" --certainty 0.8 --out ./svg
+//   heptapod --file phrases.txt --seed arrival --lexicon ./lexicon.json
+//   heptapod "Arrival" --theme "light paper" --background none
+//   heptapod --file phrases.txt --tidy
+//   heptapod "Arrival" --tidy --plot gcode --paper a3 --pen-width 0.3
+import { promises as fs } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { analyzeProposition } from "./grammar";
+import { createGraphemeStore } from "./graphemeStore";
+import { jsonFileBackend } from "./graphemeStoreNode";
+import { glyphMetadata } from "./metadata";
+import { PLOT_PAPERS, layersToGCode, layersToHPGL, type PlotPaper } from "./plotter";
+import {
+  defaultParams,
+  freezeGraphemes,
+  generateSegments,
+  hashStringToInt,
+  isWordGrapheme,
+  renderLayersToSVGString,
+  splitContentWords,
+  type SemagramParams,
+} from "./semagram";
+import { THEME_PRESETS, defaultTheme, findTheme, parseTheme, parseThemeDocument, themeRenderOptions } from "./theme";
+import { tidyGlyph } from "./tidy";
+
+const USAGE = `Usage: heptapod [options] [phrase...]
+
+Options:
+  -f, --file <path>        read phrases from a file, one per line
+  -o, --out <dir>          output directory (default: ./semagrams)
+      --seed <seed>        seed string (default: ${defaultParams.seed})
+      --certainty <0..1>   (default: ${defaultParams.certainty})
+      --modality <0..1>    (default: ${defaultParams.modality})
+      --temporality <0..1> (default: ${defaultParams.temporality})
+      --agency <0..1>      (default: ${defaultParams.agency})
+      --emphasis <0..1>    (default: ${defaultParams.emphasis})
+      --perspective <1st|2nd|3rd>
+      --negation
+      --hypothetical
+      --infer              take negation, hypothetical, modality and temporality
+                           from each phrase's grammar; explicit options win
+      --theme <name|path>  a preset (${THEME_PRESETS.map((t) => t.name).join(", ")})
+                           or a saved theme JSON file (default: ${defaultTheme.name})
+      --color <css>        stroke colour (default: the theme's)
+      --background <css>   background fill, or "none" (default: the theme's)
+      --size <px>          width and height; the drawing scales to fit (default: 640)
+      --tidy               merge overlapping arcs, snap joints onto arcs and
+                           order strokes (see tidy.js)
+      --lexicon <path>     grapheme lexicon JSON to reuse and extend
+
+Plotter output (instead of SVG):
+      --plot <gcode|hpgl>  write toolpaths for a pen plotter (see plotter.js)
+      --paper <size>       ${Object.keys(PLOT_PAPERS).join(", ")} (default: a4)
+      --paper-margin <mm>  (default: 15)
+      --pen-width <mm>     width passes are this far apart (default: 0.5)
+      --feed <mm/min>      drawing speed (default: 1500)
+      --pen-up <gcode>     (default: "G0 Z2")
+      --pen-down <gcode>   (default: "G1 Z0 F300")
+      --polyline           arcs as short lines, for firmware without G2/G3 or AA
+  -h, --help`;
+
+const SLIDERS = ["certainty", "modality", "temporality", "agency", "emphasis"] as const;
+
+function fail(message: string): never {
+  console.error(`heptapod: ${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+function unit(name: string, raw: string | undefined, fallback: number) {
+  if (raw === undefined) return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n > 1) fail(`--${name} must be a number between 0 and 1`);
+  return n;
+}
+
+// Readable but collision-free file names: slug plus a hash of seed and phrase
+function fileNameFor(params: SemagramParams, ext = "svg") {
+  const slug = [...params.proposition.normalize("NFC").toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, "-").replace(/^-|-$/g, "")].slice(0, 48).join("") || "semagram";
+  const hash = hashStringToInt(params.seed + "|" + params.proposition).toString(16).padStart(8, "0");
+  return `${slug}-${hash}.${ext}`;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      file: { type: "string", short: "f" },
+      out: { type: "string", short: "o", default: "semagrams" },
+      seed: { type: "string", default: defaultParams.seed },
+      certainty: { type: "string" },
+      modality: { type: "string" },
+      temporality: { type: "string" },
+      agency: { type: "string" },
+      emphasis: { type: "string" },
+      perspective: { type: "string", default: defaultParams.perspective },
+      negation: { type: "boolean", default: false },
+      hypothetical: { type: "boolean", default: false },
+      infer: { type: "boolean", default: false },
+      theme: { type: "string" },
+      color: { type: "string" },
+      background: { type: "string" },
+      size: { type: "string", default: "640" },
+      tidy: { type: "boolean", default: false },
+      plot: { type: "string" },
+      paper: { type: "string", default: "a4" },
+      "paper-margin": { type: "string", default: "15" },
+      "pen-width": { type: "string", default: "0.5" },
+      feed: { type: "string", default: "1500" },
+      "pen-up": { type: "string", default: "G0 Z2" },
+      "pen-down": { type: "string", default: "G1 Z0 F300" },
+      polyline: { type: "boolean", default: false },
+      lexicon: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const phrases = [...positionals];
+  if (values.file) {
+    const text = await fs.readFile(values.file, "utf8");
+    phrases.push(...text.split(/\r?\n/).map((s) => s.trim()).filter(Boolean));
+  }
+  if (!phrases.length) fail("no phrase given");
+
+  if (!["1st", "2nd", "3rd"].includes(values.perspective!)) fail("--perspective must be 1st, 2nd or 3rd");
+  const size = Number(values.size);
+  if (!Number.isFinite(size) || size <= 0) fail("--size must be a positive number");
+  if (values.plot !== undefined && values.plot !== "gcode" && values.plot !== "hpgl") fail("--plot must be gcode or hpgl");
+  if (!(values.paper! in PLOT_PAPERS)) fail(`--paper must be one of ${Object.keys(PLOT_PAPERS).join(", ")}`);
+  const positive = (name: "paper-margin" | "pen-width" | "feed") => {
+    const n = Number(values[name]);
+    if (!Number.isFinite(n) || n < 0 || (n === 0 && name !== "paper-margin")) fail(`--${name} must be a positive number`);
+    return n;
+  };
+  const plot = {
+    paper: values.paper as PlotPaper,
+    margin: positive("paper-margin"),
+    penWidth: positive("pen-width"),
+    feed: positive("feed"),
+    penUp: values["pen-up"],
+    penDown: values["pen-down"],
+    arcs: values.polyline ? ("polyline" as const) : ("native" as const),
+  };
+
+  const base: SemagramParams = { ...defaultParams, seed: values.seed!, perspective: values.perspective as SemagramParams["perspective"], negation: values.negation!, hypothetical: values.hypothetical! };
+  for (const key of SLIDERS) base[key] = unit(key, values[key], defaultParams[key]);
+
+  let theme = defaultTheme;
+  if (values.theme) {
+    const preset = findTheme(values.theme);
+    theme = preset ?? parseThemeDocument(JSON.parse(await fs.readFile(values.theme, "utf8").catch(() => fail(`no theme or theme file named ${values.theme}`))));
+  }
+  if (values.color) theme = parseTheme({ stroke: values.color }, theme);
+  if (values.background) theme = parseTheme({ background: values.background === "none" ? null : values.background }, theme);
+  const style = { ...themeRenderOptions(theme), color: theme.stroke, size };
+
+  const lexicon = values.lexicon ? createGraphemeStore(jsonFileBackend(path.resolve(values.lexicon)), isWordGrapheme) : undefined;
+  await lexicon?.load();
+
+  await fs.mkdir(values.out!, { recursive: true });
+  for (const proposition of phrases) {
+    const inferred = values.infer ? analyzeProposition(proposition).inferred : {};
+    // only what the command line left unset is inferred
+    if (values.negation) delete inferred.negation;
+    if (values.hypothetical) delete inferred.hypothetical;
+    if (values.modality !== undefined) delete inferred.modality;
+    if (values.temporality !== undefined) delete inferred.temporality;
+    const params = { ...base, ...inferred, proposition };
+    if (lexicon) freezeGraphemes(splitContentWords(proposition), lexicon);
+    const glyph = generateSegments(params, lexicon);
+    const metadata = glyphMetadata(params, glyph);
+    const layers = [{ glyph: values.tidy ? tidyGlyph(glyph) : glyph, params, color: theme.stroke }];
+    const [ext, output] =
+      values.plot === "gcode"
+        ? ["gcode", layersToGCode(layers, { ...plot, title: metadata.title })]
+        : values.plot === "hpgl"
+          ? ["plt", layersToHPGL(layers, plot)]
+          : ["svg", renderLayersToSVGString(layers, { ...style, metadata })];
+    const file = path.join(values.out!, fileNameFor(params, ext));
+    await fs.writeFile(file, output);
+    console.log(file);
+  }
+
+  await lexicon?.flush();
+}
+
+main().catch((err) => {
+  console.error(`heptapod: ${err instanceof Error ? err.message : err}`);
+  process.exit(1);
+});
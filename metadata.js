@@ -0,0 +1,110 @@
+// --- Document metadata ---
+// What a rendered SVG says about itself: a <title> and plain-language <desc>
+// for screen readers, and a <metadata> JSON block with the proposition, params
+// and generator version, so an exported file can be reopened in the lab.
+//
+//   <metadata id="hw-metadata">{"format":"heptapod-semagram","version":1,…}</metadata>
+import { parseClauseTree, type ClauseNode } from "./composite";
+import { type LabMode, type LabState } from "./permalink";
+import { GENERATOR_VERSION, blendParams, parseSemagramParams, type DocumentMetadata, type Glyph, type SemagramParams } from "./semagram";
+
+export const METADATA_VERSION = 1;
+
+export interface SemagramMetadata {
+  format: "heptapod-semagram";
+  version: number;
+  generatorVersion: number;
+  mode: LabMode;
+  params: SemagramParams;
+  params2?: SemagramParams; // blend only
+  blend?: number; // blend only
+}
+
+const MODES: LabMode[] = ["single", "composite", "blend"];
+
+// --- Descriptions ---
+const degree = (v: number, low: string, mid: string, high: string) => (v < 0.34 ? low : v < 0.67 ? mid : high);
+const plural = (n: number, word: string) => `${n} ${word}${n === 1 ? "" : "s"}`;
+const quote = (text: string) => `“${text.trim().replace(/\s+/g, " ")}”`;
+const clauseTexts = (nodes: ClauseNode[]): string[] => nodes.flatMap((n) => [n.text, ...clauseTexts(n.children)]);
+
+export function describeGlyph(glyph: Glyph, p: SemagramParams) {
+  const words = glyph.graphemes.map((g) => g.word);
+  const marks = words.length ? `${plural(words.length, "word mark")} (${words.join(", ")})` : "no word marks";
+  const dashes = [p.negation && "negated", p.hypothetical && "hypothetical"].filter(Boolean).join(" and ");
+  return [
+    `A circular semagram of ${plural(glyph.rings, "ring")} with ${marks} around its inner rings.`,
+    `${degree(p.certainty, "Thin, faint", "Medium", "Heavy, solid")} strokes; arcs lean toward ${degree(p.modality, "obligation", "neither obligation nor possibility", "possibility")}`,
+    `and run ${degree(p.temporality, "regular", "somewhat irregular", "long and irregular")}.`,
+    `${degree(p.agency, "A small, faint", "A medium", "A large, bright")} centre node, seen from the ${p.perspective} person.`,
+    dashes ? `Dashed strokes mark it as ${dashes}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Title, description and data for whatever the lab shows. `glyph` is the one
+// drawn for single and blend mode (the blended one for blend).
+export function labMetadata(state: LabState, glyph?: Glyph): DocumentMetadata {
+  const { mode, p, p2, blend } = state;
+  const data: SemagramMetadata = { format: "heptapod-semagram", version: METADATA_VERSION, generatorVersion: GENERATOR_VERSION, mode, params: p };
+  if (mode === "blend") Object.assign(data, { params2: p2, blend });
+
+  if (mode === "composite") {
+    const clauses = clauseTexts(parseClauseTree(p.proposition));
+    return {
+      title: `Composite semagram: ${clauses.map(quote).join(", ")}`,
+      description: `${plural(clauses.length, "clause")} drawn as separate semagrams, subordinate clauses orbiting their parent and joined by bridging strokes: ${clauses.map(quote).join("; ")}.`,
+      data,
+    };
+  }
+  const title = mode === "blend" ? `Semagram blend: ${quote(p.proposition)} into ${quote(p2.proposition)}` : `Semagram: ${quote(p.proposition)}`;
+  const lead = mode === "blend" ? `${quote(p.proposition)} ${Math.round(blend * 100)}% morphed into ${quote(p2.proposition)}. ` : "";
+  return { title, description: lead + (glyph ? describeGlyph(glyph, mode === "blend" ? blendParams(p, p2, blend) : p) : ""), data };
+}
+
+// For documents of one glyph (the CLI, the API)
+export function glyphMetadata(p: SemagramParams, glyph: Glyph) {
+  return labMetadata({ mode: "single", p, p2: p, blend: 0 }, glyph);
+}
+
+// --- Reading it back ---
+function decodeEntities(text: string) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// The drawing inside a rendered <svg>, without the root element or the title,
+// description and metadata, for placing it in another document that has its own
+export function drawingMarkup(svg: string) {
+  return svg
+    .replace(/^[\s\S]*?<svg\b[^>]*>/, "")
+    .replace(/<\/svg>\s*$/, "")
+    .replace(/<(title|desc|metadata)\b[^>]*>[\s\S]*?<\/\1>/g, "");
+}
+
+// null when the document carries no lab metadata (or a newer version); throws
+// when it does but the values are invalid. Like decodePermalink, what the
+// file leaves out (B outside blend mode) keeps its value from `current`.
+export function readSVGMetadata(svg: string, current: LabState): LabState | null {
+  const m = svg.match(/<metadata\b[^>]*\bid="hw-metadata"[^>]*>([\s\S]*?)<\/metadata>/);
+  if (!m) return null;
+  const raw = m[1].trim().replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1");
+  const data = JSON.parse(m[1].includes("<![CDATA[") ? raw : decodeEntities(raw)) as Partial<SemagramMetadata>;
+  if (data.format !== "heptapod-semagram" || typeof data.version !== "number" || data.version > METADATA_VERSION) return null;
+
+  const mode = data.mode ?? "single";
+  if (!MODES.includes(mode)) throw new Error(`Unknown mode: ${mode}`);
+  const blend = data.blend ?? current.blend;
+  if (typeof blend !== "number" || blend < 0 || blend > 1) throw new Error("blend must be a number between 0 and 1");
+  return {
+    mode,
+    blend,
+    p: parseSemagramParams(data.params),
+    p2: data.params2 ? parseSemagramParams(data.params2) : current.p2,
+  };
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "@jest/globals";
+import { drawingMarkup, glyphMetadata, labMetadata, readSVGMetadata } from "./metadata";
+import { type LabState } from "./permalink";
+import { defaultParams, generateSegments, renderGlyphToSVGString, renderLayersToSVGString } from "./semagram";
+
+const current: LabState = {
+  mode: "single",
+  p: defaultParams,
+  p2: { ...defaultParams, proposition: "Something else", seed: "b" },
+  blend: 0.5,
+};
+
+const p = { ...defaultParams, proposition: "She said </title> & <desc>", seed: "a" };
+const glyph = generateSegments(p);
+const render = (state: LabState) => renderLayersToSVGString([{ glyph, params: state.p, color: "#fff" }], { metadata: labMetadata(state, glyph) });
+
+describe("readSVGMetadata", () => {
+  it("reads back the lab state an export was made from", () => {
+    const single: LabState = { ...current, p };
+    expect(readSVGMetadata(render(single), current)).toEqual(single);
+    const blend: LabState = { mode: "blend", p, p2: { ...defaultParams, proposition: "Tomorrow", temporality: 0.9 }, blend: 0.3 };
+    expect(readSVGMetadata(render(blend), current)).toEqual(blend);
+  });
+
+  it("returns null for documents without lab metadata or from a newer version", () => {
+    expect(readSVGMetadata(renderLayersToSVGString([{ glyph, params: p, color: "#fff" }]), current)).toBeNull();
+    const newer = '<svg><metadata id="hw-metadata">{"format":"heptapod-semagram","version":99}</metadata></svg>';
+    expect(readSVGMetadata(newer, current)).toBeNull();
+  });
+
+  it("throws on metadata with invalid values", () => {
+    const bad = '<svg><metadata id="hw-metadata"><![CDATA[{"format":"heptapod-semagram","version":1,"mode":"spiral"}]]></metadata></svg>';
+    expect(() => readSVGMetadata(bad, current)).toThrow("Unknown mode: spiral");
+  });
+});
+
+describe("drawingMarkup", () => {
+  it("keeps only the drawing of a rendered document", () => {
+    const svg = renderLayersToSVGString([{ glyph, params: p, color: "#fff" }], { background: null, metadata: glyphMetadata(p, glyph) });
+    expect(drawingMarkup(svg)).toBe(renderGlyphToSVGString(glyph, p, "#fff"));
+  });
+
+  it("strips every title, description and metadata block, attributes and all", () => {
+    const svg = '<?xml version="1.0"?>\n<svg viewBox="0 0 1 1"><title id="t">a</title><desc>b\nc</desc><metadata id="m">{}</metadata><g><title>d</title><path d="M0 0"/></g></svg>\n';
+    expect(drawingMarkup(svg)).toBe('<g><path d="M0 0"/></g>');
+  });
+});
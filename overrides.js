@@ -0,0 +1,215 @@
+// --- Glyph overrides ---
+// Hand edits laid over generateSegments' output, saved per seed + proposition
+// and reapplied on every render. Parts are addressed by ring and index, and an
+// edit remembers how many parts its ring had: a ring redrawn with more or
+// fewer (a word's mark changing, say) would put the index on another part, so
+// its edits are skipped, as are edits to rings a param change drops.
+import { arcSegment, type Glyph, type Line, type SemagramParams, type Segment } from "./semagram";
+
+export type PartKind = "segment" | "connector";
+
+export interface PartRef {
+  kind: PartKind;
+  ring: number;
+  index: number;
+}
+
+// Unset fields keep the generated value; a null dash draws the segment solid
+export interface SegmentEdit {
+  r?: number;
+  a0?: number;
+  a1?: number;
+  w?: number;
+  dash?: string | null;
+}
+
+export interface ConnectorEdit {
+  x1?: number;
+  y1?: number;
+  x2?: number;
+  y2?: number;
+  w?: number;
+}
+
+// `ringParts` counts the ring's parts of this kind when the edit was made;
+// edits saved before it was recorded leave it out and always apply
+export type PartEdit =
+  | { kind: "segment"; ring: number; index: number; ringParts?: number; set: SegmentEdit }
+  | { kind: "connector"; ring: number; index: number; ringParts?: number; set: ConnectorEdit };
+
+export interface GlyphOverride {
+  key: string;
+  updatedAt: string; // ISO timestamp
+  edits: PartEdit[];
+}
+
+export interface OverridesDocument {
+  format: "heptapod-overrides";
+  version: 1;
+  overrides: GlyphOverride[];
+}
+
+// The same string the generator seeds itself from
+export function overrideKey(p: Pick<SemagramParams, "seed" | "proposition">) {
+  return `${p.seed}|${p.proposition.normalize("NFC")}`;
+}
+
+export const samePart = (a: PartRef, b: PartRef) => a.kind === b.kind && a.ring === b.ring && a.index === b.index;
+
+const ringOf = (glyph: Glyph, ref: PartRef): unknown[] | undefined => (ref.kind === "segment" ? glyph.segments : glyph.connectors)[ref.ring];
+
+// Folds `set` into any edit already made to the same part of `glyph`
+export function upsertEdit(edits: PartEdit[], ref: PartRef, set: SegmentEdit | ConnectorEdit, glyph: Glyph): PartEdit[] {
+  const old = edits.find((e) => samePart(e, ref));
+  const next = { kind: ref.kind, ring: ref.ring, index: ref.index, ringParts: ringOf(glyph, ref)?.length ?? 0, set: { ...old?.set, ...set } } as PartEdit;
+  return old ? edits.map((e) => (e === old ? next : e)) : [...edits, next];
+}
+
+function editSegment(seg: Segment, set: SegmentEdit): Segment {
+  const arc = { ...seg.arc, r: set.r ?? seg.arc.r, a0: set.a0 ?? seg.arc.a0, a1: set.a1 ?? seg.arc.a1 };
+  const dash = set.dash === null ? undefined : set.dash ?? seg.dash;
+  return arcSegment(seg.kind, arc, set.w ?? seg.w, seg.opacity, dash);
+}
+
+function editLine(c: Line, set: ConnectorEdit): Line {
+  return { ...c, x1: set.x1 ?? c.x1, y1: set.y1 ?? c.y1, x2: set.x2 ?? c.x2, y2: set.y2 ?? c.y2, w: set.w ?? c.w };
+}
+
+export function applyEdits(glyph: Glyph, edits: PartEdit[]): Glyph {
+  if (!edits.length) return glyph;
+  const segments = glyph.segments.map((ring) => ring.slice());
+  const connectors = glyph.connectors.map((ring) => ring.slice());
+  for (const e of edits) {
+    if (e.ringParts !== undefined && ringOf(glyph, e)?.length !== e.ringParts) continue;
+    if (e.kind === "segment") {
+      const seg = segments[e.ring]?.[e.index];
+      if (seg) segments[e.ring][e.index] = editSegment(seg, e.set);
+    } else {
+      const c = connectors[e.ring]?.[e.index];
+      if (c) connectors[e.ring][e.index] = editLine(c, e.set);
+    }
+  }
+  return { ...glyph, segments, connectors };
+}
+
+// --- Dash field ---
+// The editor keeps the dash text as typed, so "4 " can grow into "4 2".
+// Only numbers and separators (spaces or commas, as in stroke-dasharray) are
+// taken, since the text reaches the SVG as is: undefined rejects the
+// keystroke. The edit gets the text trimmed, and blank draws the segment solid.
+export function dashFromInput(text: string): string | null | undefined {
+  if (!/^[\d.\s,]*$/.test(text)) return undefined;
+  return text.trim() || null;
+}
+
+// What the field shows once the edit's value changes: the typed text while it
+// still reads as that value, otherwise the value (another part, a revert)
+export function dashInputText(typed: string, value: string | undefined) {
+  return typed.trim() === (value ?? "") ? typed : value ?? "";
+}
+
+// The glyph as saved edits leave it, for any renderer holding a store
+export function withOverrides(glyph: Glyph, p: SemagramParams, store?: OverrideStore) {
+  const override = store?.get(overrideKey(p));
+  return override ? applyEdits(glyph, override.edits) : glyph;
+}
+
+// --- Store ---
+export interface OverrideBackend {
+  load(): Promise<GlyphOverride[]>;
+  save(overrides: GlyphOverride[]): Promise<void>;
+}
+
+export interface OverrideStore {
+  get(key: string): GlyphOverride | undefined;
+  set(key: string, edits: PartEdit[]): void; // no edits removes the override
+  all(): GlyphOverride[];
+  load(): Promise<void>;
+  subscribe(listener: () => void): () => void;
+}
+
+export function createOverrideStore(backend?: OverrideBackend): OverrideStore {
+  const overrides = new Map<string, GlyphOverride>();
+  const listeners = new Set<() => void>();
+  let saving: Promise<void> = Promise.resolve();
+
+  const changed = () => {
+    // a failed save is logged and the next change still saves
+    if (backend) saving = saving.then(() => backend.save(Array.from(overrides.values()))).catch((err) => console.error("Could not save overrides", err));
+    listeners.forEach((l) => l());
+  };
+
+  return {
+    get(key) {
+      return overrides.get(key);
+    },
+
+    set(key, edits) {
+      if (edits.length) overrides.set(key, { key, updatedAt: new Date().toISOString(), edits });
+      else if (!overrides.delete(key)) return;
+      changed();
+    },
+
+    all() {
+      return Array.from(overrides.values()).sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    // Saved overrides win over anything set before the load finished
+    async load() {
+      if (!backend) return;
+      for (const o of await backend.load()) overrides.set(o.key, o);
+      listeners.forEach((l) => l());
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// --- Override documents ---
+const isNum = (v: unknown) => typeof v === "number" && Number.isFinite(v);
+
+function parseEdit(e: unknown): PartEdit | null {
+  const x = e as PartEdit | null;
+  if (!x || (x.kind !== "segment" && x.kind !== "connector")) return null;
+  if (!Number.isInteger(x.ring) || !Number.isInteger(x.index) || !x.set || typeof x.set !== "object") return null;
+  const set: Record<string, unknown> = {};
+  const fields = x.kind === "segment" ? ["r", "a0", "a1", "w"] : ["x1", "y1", "x2", "y2", "w"];
+  for (const f of fields) if (isNum((x.set as Record<string, unknown>)[f])) set[f] = (x.set as Record<string, unknown>)[f];
+  if (x.kind === "segment") {
+    const dash = (x.set as SegmentEdit).dash;
+    if (dash === null || typeof dash === "string") set.dash = dash;
+  }
+  const ringParts = Number.isInteger(x.ringParts) ? { ringParts: x.ringParts } : {};
+  return { kind: x.kind, ring: x.ring, index: x.index, ...ringParts, set } as PartEdit;
+}
+
+export function parseOverrides(doc: unknown): GlyphOverride[] {
+  const d = doc as Partial<OverridesDocument> | null;
+  if (!d || d.format !== "heptapod-overrides" || !Array.isArray(d.overrides)) {
+    throw new Error("Not a heptapod overrides document");
+  }
+  if (d.version !== 1) throw new Error(`Unsupported overrides version: ${d.version}`);
+  return d.overrides
+    .filter((o) => !!o && typeof o.key === "string" && Array.isArray(o.edits))
+    .map((o) => ({
+      key: o.key,
+      updatedAt: typeof o.updatedAt === "string" ? o.updatedAt : new Date(0).toISOString(),
+      edits: o.edits.map(parseEdit).filter((e): e is PartEdit => !!e),
+    }));
+}
+
+export function localStorageOverrideBackend(key = "heptapod-overrides"): OverrideBackend {
+  return {
+    async load() {
+      const raw = window.localStorage.getItem(key);
+      return raw ? parseOverrides(JSON.parse(raw)) : [];
+    },
+    async save(overrides) {
+      const doc: OverridesDocument = { format: "heptapod-overrides", version: 1, overrides };
+      window.localStorage.setItem(key, JSON.stringify(doc));
+    },
+  };
+}
@@ -0,0 +1,129 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import { applyEdits, createOverrideStore, dashFromInput, dashInputText, parseOverrides, upsertEdit, type GlyphOverride, type PartEdit } from "./overrides";
+import { defaultParams, generateSegments, renderGlyphToSVGString } from "./semagram";
+
+const p = { ...defaultParams, proposition: "She was always there", seed: "a", temporality: 0.1 };
+const glyph = generateSegments(p);
+// an outer ring of spoke arcs, one per spoke
+const outer = glyph.rings - 1;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("dash field", () => {
+  it("keeps a space-separated pattern as typed while editing it", () => {
+    let text = "";
+    let edits: PartEdit[] = [];
+    for (const typed of ["4", "4 ", "4 2"]) {
+      const dash = dashFromInput(typed);
+      expect(dash).not.toBeUndefined();
+      text = typed;
+      edits = upsertEdit(edits, { kind: "segment", ring: outer, index: 0 }, { dash }, glyph);
+      // the value comes back trimmed; the field keeps the trailing space
+      text = dashInputText(text, applyEdits(glyph, edits).segments[outer][0].dash);
+      expect(text).toBe(typed);
+    }
+    const seg = applyEdits(glyph, edits).segments[outer][0];
+    expect(seg.dash).toBe("4 2");
+    expect(renderGlyphToSVGString({ ...glyph, segments: [[seg]], connectors: [], spurs: [] }, p, "#fff")).toContain('stroke-dasharray="4 2"');
+  });
+
+  it("takes commas, draws blank solid and refuses anything else", () => {
+    expect(dashFromInput(" 6,3 ")).toBe("6,3");
+    expect(dashFromInput("  ")).toBeNull();
+    expect(dashFromInput("4px")).toBeUndefined();
+    expect(dashFromInput('4" onload="x')).toBeUndefined();
+  });
+
+  it("follows the value once it changes elsewhere", () => {
+    expect(dashInputText("4 ", "6 1")).toBe("6 1");
+    expect(dashInputText("4 ", undefined)).toBe("");
+  });
+});
+
+describe("applyEdits", () => {
+  it("keeps an edit on its arc when temporality adds rings", () => {
+    const edits = upsertEdit([], { kind: "segment", ring: outer, index: 2 }, { w: 9 }, glyph);
+    const later = generateSegments({ ...p, temporality: 0.9 });
+    expect(later.rings).toBeGreaterThan(glyph.rings);
+    const seg = applyEdits(later, edits).segments[outer][2];
+    expect(seg.w).toBe(9);
+    expect(seg.arc.a0).toBe(glyph.segments[outer][2].arc.a0);
+  });
+
+  it("skips an edit once its ring has more or fewer parts", () => {
+    const edits = upsertEdit([], { kind: "segment", ring: outer, index: 2 }, { w: 9 }, glyph);
+    const redrawn = { ...glyph, segments: glyph.segments.map((ring, i) => (i === outer ? ring.slice(1) : ring)) };
+    expect(applyEdits(redrawn, edits).segments[outer].map((s) => s.w)).not.toContain(9);
+    expect(applyEdits(glyph, edits).segments[outer][2].w).toBe(9);
+  });
+
+  it("applies edits saved before part counts were recorded", () => {
+    const redrawn = { ...glyph, connectors: glyph.connectors.map((ring) => ring.slice(1)) };
+    const edits: PartEdit[] = [{ kind: "connector", ring: 0, index: 0, set: { w: 7 } }];
+    expect(applyEdits(redrawn, edits).connectors[0][0].w).toBe(7);
+  });
+
+  it("skips edits to parts that no longer exist", () => {
+    const edits: PartEdit[] = [{ kind: "segment", ring: 40, index: 0, set: { w: 7 } }];
+    expect(applyEdits(glyph, edits)).toEqual(glyph);
+  });
+});
+
+describe("parseOverrides", () => {
+  it("keeps valid fields, part counts included, and drops the rest", () => {
+    const doc = {
+      format: "heptapod-overrides",
+      version: 1,
+      overrides: [
+        {
+          key: "a|b",
+          updatedAt: "2026-01-01T00:00:00.000Z",
+          edits: [
+            { kind: "segment", ring: 1, index: 2, ringParts: 7, set: { w: 3, r: "big", dash: "4 2" } },
+            { kind: "connector", ring: 0, index: 1, ringParts: 1.5, set: { x1: 4 } },
+            { kind: "spur", ring: 0, index: 0, set: {} },
+          ],
+        },
+        null,
+      ],
+    };
+    expect(parseOverrides(doc)).toEqual([
+      {
+        key: "a|b",
+        updatedAt: "2026-01-01T00:00:00.000Z",
+        edits: [
+          { kind: "segment", ring: 1, index: 2, ringParts: 7, set: { w: 3, dash: "4 2" } },
+          { kind: "connector", ring: 0, index: 1, set: { x1: 4 } },
+        ],
+      },
+    ]);
+  });
+});
+
+describe("createOverrideStore", () => {
+  it("keeps saving after a save fails", async () => {
+    const saves: GlyphOverride[][] = [];
+    let fail = true;
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const store = createOverrideStore({
+      async load() {
+        return [];
+      },
+      async save(overrides) {
+        if (fail) {
+          fail = false;
+          throw new Error("quota exceeded");
+        }
+        saves.push(overrides);
+      },
+    });
+    const edit: PartEdit = { kind: "segment", ring: 0, index: 0, set: { w: 2 } };
+    store.set("a|b", [edit]);
+    store.set("c|d", [edit]);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(error).toHaveBeenCalledWith("Could not save overrides", expect.any(Error));
+    expect(saves.map((s) => s.map((o) => o.key))).toEqual([["a|b", "c|d"]]);
+  });
+});
@@ -0,0 +1,245 @@
+// Vector PDF from a rendered semagram SVG
+//
+// Understands the subset our own renderers emit (see svgDocument in
+// semagram.js): g with transform/opacity, path (M/L/C/A/Z), line, circle and
+// rect, solid fills and strokes, dash arrays and round or square caps. Masks,
+// styles, filters and metadata are dropped, so animated documents export as
+// their final frame and ink textures as clean strokes.
+import { TAU, arcFromPath } from "./semagram";
+
+export type PDFPage = "square" | "a4" | "letter";
+
+export type PDFOptions = {
+  page?: PDFPage; // "square" keeps the SVG's own size
+  title?: string;
+};
+
+// Points (1/72 in)
+const PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792] } as const;
+const PX_TO_PT = 72 / 96;
+
+type Matrix = [number, number, number, number, number, number];
+type Tag = { name: string; close: boolean; selfClose: boolean; attrs: Record<string, string> };
+
+const SKIPPED = new Set(["mask", "style", "metadata", "title", "desc", "defs"]);
+
+// --- SVG subset parsing ---
+function parseTags(svg: string): Tag[] {
+  const tags: Tag[] = [];
+  const re = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>/g;
+  let m: RegExpExecArray | null;
+  while ((m = re.exec(svg))) {
+    const attrs: Record<string, string> = {};
+    for (const a of m[3].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) attrs[a[1]] = a[2].replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+    tags.push({ name: m[2], close: m[1] === "/", selfClose: m[4] === "/", attrs });
+  }
+  return tags;
+}
+
+function multiply(a: Matrix, b: Matrix): Matrix {
+  return [a[0] * b[0] + a[1] * b[2], a[0] * b[1] + a[1] * b[3], a[2] * b[0] + a[3] * b[2], a[2] * b[1] + a[3] * b[3], a[4] * b[0] + a[5] * b[2] + b[4], a[4] * b[1] + a[5] * b[3] + b[5]];
+}
+
+// SVG transform list -> one matrix (applied left to right, like SVG)
+function parseTransform(value: string): Matrix {
+  let m: Matrix = [1, 0, 0, 1, 0, 0];
+  for (const [, fn, args] of value.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const n = args.trim().split(/[\s,]+/).map(Number);
+    let t: Matrix;
+    if (fn === "translate") t = [1, 0, 0, 1, n[0], n[1] ?? 0];
+    else if (fn === "scale") t = [n[0], 0, 0, n[1] ?? n[0], 0, 0];
+    else if (fn === "matrix") t = n.slice(0, 6) as Matrix;
+    else if (fn === "rotate") {
+      const a = (n[0] * Math.PI) / 180;
+      const [cx, cy] = [n[1] ?? 0, n[2] ?? 0];
+      const r: Matrix = [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0];
+      t = multiply(multiply([1, 0, 0, 1, -cx, -cy], r), [1, 0, 0, 1, cx, cy]);
+    } else throw new Error(`Unsupported transform: ${fn}`);
+    m = multiply(t, m);
+  }
+  return m;
+}
+
+function parseColor(value: string | undefined): [number, number, number] | null {
+  if (!value || value === "none" || value === "transparent") return null;
+  const named: Record<string, string> = { black: "#000000", white: "#ffffff" };
+  const v = named[value.toLowerCase()] ?? value;
+  let m = v.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255) as [number, number, number];
+  }
+  m = v.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i);
+  if (m) return [m[1], m[2], m[3]].map((c) => Number(c) / 255) as [number, number, number];
+  throw new Error(`Unsupported colour: ${value}`);
+}
+
+// --- PDF content ---
+function num(n: number) {
+  const s = n.toFixed(3).replace(/\.?0+$/, "");
+  return s === "-0" ? "0" : s;
+}
+
+// One cubic per quarter turn at most; k = 4/3 tan(θ/4) keeps the midpoint on the circle
+function arcToCubics(cx: number, cy: number, r: number, a0: number, a1: number) {
+  const n = Math.max(1, Math.ceil(Math.abs(a1 - a0) / (Math.PI / 2) - 1e-9));
+  const step = (a1 - a0) / n;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const out: string[] = [];
+  for (let i = 0; i < n; i++) {
+    const t0 = a0 + step * i;
+    const t1 = t0 + step;
+    const [c0, s0, c1, s1] = [Math.cos(t0), Math.sin(t0), Math.cos(t1), Math.sin(t1)];
+    out.push(`${num(cx + r * (c0 - k * s0))} ${num(cy + r * (s0 + k * c0))} ${num(cx + r * (c1 + k * s1))} ${num(cy + r * (s1 - k * c1))} ${num(cx + r * c1)} ${num(cy + r * s1)} c`);
+  }
+  return out;
+}
+
+// Absolute M/L/C/A/Z only, which is all arcPath and the glyph code produce
+function pathOps(d: string) {
+  const out: string[] = [];
+  const tokens = d.match(/[MLCAZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) ?? [];
+  let i = 0;
+  let cmd = "";
+  let [x, y, sx, sy] = [0, 0, 0, 0];
+  const next = () => Number(tokens[i++]);
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) cmd = tokens[i++];
+    if (cmd === "M") {
+      [x, y] = [next(), next()];
+      [sx, sy] = [x, y];
+      out.push(`${num(x)} ${num(y)} m`);
+      cmd = "L";
+    } else if (cmd === "L") {
+      [x, y] = [next(), next()];
+      out.push(`${num(x)} ${num(y)} l`);
+    } else if (cmd === "C") {
+      const c = [next(), next(), next(), next(), next(), next()];
+      [x, y] = [c[4], c[5]];
+      out.push(`${c.map(num).join(" ")} c`);
+    } else if (cmd === "A") {
+      const [rx, ry, rot, large, sweep, ex, ey] = [next(), next(), next(), next(), next(), next(), next()];
+      const arc = arcFromPath(`M ${x} ${y} A ${rx} ${ry} ${rot} ${large} ${sweep} ${ex} ${ey}`);
+      if (arc) out.push(...arcToCubics(arc.cx, arc.cy, arc.r, arc.a0, arc.a1));
+      [x, y] = [ex, ey];
+    } else if (cmd === "Z" || cmd === "z") {
+      out.push("h");
+      [x, y] = [sx, sy];
+    } else {
+      throw new Error(`Unsupported path command: ${cmd}`);
+    }
+  }
+  return out;
+}
+
+function circleOps(cx: number, cy: number, r: number) {
+  return [`${num(cx + r)} ${num(cy)} m`, ...arcToCubics(cx, cy, r, 0, TAU), "h"];
+}
+
+function shapeOps(tag: Tag) {
+  const a = tag.attrs;
+  const n = (k: string, fallback = 0) => (a[k] === undefined ? fallback : Number(a[k]));
+  switch (tag.name) {
+    case "path":
+      return pathOps(a.d ?? "");
+    case "line":
+      return [`${num(n("x1"))} ${num(n("y1"))} m`, `${num(n("x2"))} ${num(n("y2"))} l`];
+    case "circle":
+      return circleOps(n("cx"), n("cy"), n("r"));
+    case "rect":
+      return [`${num(n("x"))} ${num(n("y"))} ${num(n("width"))} ${num(n("height"))} re`];
+    default:
+      return null;
+  }
+}
+
+export function svgToPDF(svg: string, options: PDFOptions = {}) {
+  const tags = parseTags(svg);
+  const root = tags.find((t) => t.name === "svg" && !t.close);
+  const viewBox = root?.attrs.viewBox?.trim().split(/[\s,]+/).map(Number);
+  if (!root || !viewBox || viewBox.length !== 4 || viewBox.some((v) => !Number.isFinite(v))) throw new Error("SVG has no usable viewBox");
+  const [vx, vy, vw, vh] = viewBox;
+
+  // Page box, then fit the viewBox centred inside it
+  const page = options.page ?? "square";
+  const [pw, ph] = page === "square" ? [Number(root.attrs.width ?? vw) * PX_TO_PT, Number(root.attrs.height ?? vh) * PX_TO_PT] : PAGE_SIZES[page];
+  const s = Math.min(pw / vw, ph / vh);
+  const [ox, oy] = [(pw - vw * s) / 2, (ph - vh * s) / 2];
+
+  // SVG is y-down, PDF y-up
+  const ops: string[] = [`${num(s)} 0 0 ${num(-s)} ${num(ox - vx * s)} ${num(ph - oy + vy * s)} cm`];
+  const alphas = new Map<string, string>();
+  const gs = (alpha: number) => {
+    const key = num(alpha);
+    if (!alphas.has(key)) alphas.set(key, `GS${alphas.size}`);
+    return `/${alphas.get(key)} gs`;
+  };
+
+  const opacity: number[] = [1];
+  let skipDepth = 0;
+  for (const tag of tags) {
+    if (tag.name === "svg") continue;
+    if (SKIPPED.has(tag.name)) {
+      if (!tag.selfClose) skipDepth += tag.close ? -1 : 1;
+      continue;
+    }
+    if (skipDepth > 0) continue;
+
+    if (tag.name === "g") {
+      if (tag.close) {
+        opacity.pop();
+        ops.push("Q");
+      } else if (!tag.selfClose) {
+        opacity.push(opacity[opacity.length - 1] * Number(tag.attrs.opacity ?? 1));
+        ops.push("q");
+        if (tag.attrs.transform) ops.push(`${parseTransform(tag.attrs.transform).map(num).join(" ")} cm`);
+      }
+      continue;
+    }
+
+    const shape = tag.close ? null : shapeOps(tag);
+    if (!shape) continue;
+    const a = tag.attrs;
+    // SVG defaults: black fill (lines have nothing to fill), no stroke
+    const fill = tag.name === "line" ? null : a.fill === undefined ? [0, 0, 0] : parseColor(a.fill);
+    const stroke = parseColor(a.stroke);
+    if (!fill && !stroke) continue;
+
+    ops.push("q");
+    const alpha = opacity[opacity.length - 1] * Number(a.opacity ?? 1);
+    if (alpha < 1) ops.push(gs(alpha));
+    if (a.transform) ops.push(`${parseTransform(a.transform).map(num).join(" ")} cm`);
+    if (fill) ops.push(`${fill.map(num).join(" ")} rg`);
+    if (stroke) {
+      ops.push(`${stroke.map(num).join(" ")} RG`, `${num(Number(a["stroke-width"] ?? 1))} w`);
+      if (a["stroke-linecap"] === "round") ops.push("1 J");
+      else if (a["stroke-linecap"] === "square") ops.push("2 J");
+      if (a["stroke-linejoin"] === "round") ops.push("1 j");
+      if (a["stroke-dasharray"] && a["stroke-dasharray"] !== "none") ops.push(`[${a["stroke-dasharray"].trim().split(/[\s,]+/).map(Number).map(num).join(" ")}] 0 d`);
+    }
+    ops.push(...shape, fill && stroke ? "B" : fill ? "f" : "S", "Q");
+  }
+
+  const content = ops.join("\n");
+  const extGState = [...alphas].map(([alpha, name]) => `/${name} << /Type /ExtGState /CA ${alpha} /ca ${alpha} >>`).join(" ");
+  const title = (options.title ?? "").replace(/[^\x20-\x7e]/g, "?").replace(/[\\()]/g, "\\$&");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pw)} ${num(ph)}] /Resources << /ExtGState << ${extGState} >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Producer (heptapod) /Title (${title}) >>`,
+  ];
+
+  // Everything above is ASCII, so string length is byte length
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
@@ -0,0 +1,87 @@
+// Lab state <-> URL hash
+//
+//   #v=1&gen=3&mode=blend&blend=0.5&q=She+was+always+there&s=arrival&c=0.68&…&b.q=…
+//
+// `gen` is the GENERATOR_VERSION that drew the glyph; a link from another
+// generator still opens, with a warning that it may draw differently.
+// Proposition A is unprefixed, B ("b.") and the blend amount are only written
+// in blend mode. Every param is written even at its default, so links keep
+// meaning the same glyph if defaults change; params added later take their
+// default when an old link omits them.
+import { GENERATOR_VERSION, defaultParams, parseSemagramParams, type SemagramParams } from "./semagram";
+
+export const PERMALINK_VERSION = 1;
+
+export type LabMode = "single" | "composite" | "blend";
+
+export type LabState = {
+  mode: LabMode;
+  p: SemagramParams;
+  p2: SemagramParams;
+  blend: number;
+};
+
+const MODES: LabMode[] = ["single", "composite", "blend"];
+
+// Short keys for today's params; anything not listed uses its own name
+const PARAM_KEYS: Partial<Record<keyof SemagramParams, string>> = {
+  proposition: "q",
+  seed: "s",
+  certainty: "c",
+  modality: "m",
+  temporality: "t",
+  agency: "g",
+  emphasis: "e",
+  perspective: "p",
+  negation: "n",
+  hypothetical: "h",
+};
+
+const keyFor = (name: string) => PARAM_KEYS[name as keyof SemagramParams] ?? name;
+
+function writeParams(out: URLSearchParams, p: SemagramParams, prefix: string) {
+  for (const [name, v] of Object.entries(p)) {
+    out.set(prefix + keyFor(name), typeof v === "boolean" ? (v ? "1" : "0") : String(v));
+  }
+}
+
+function readParams(src: URLSearchParams, base: SemagramParams, prefix: string) {
+  const raw: Record<string, unknown> = {};
+  for (const [name, v] of Object.entries(base)) {
+    const s = src.get(prefix + keyFor(name));
+    if (s === null) continue;
+    raw[name] = typeof v === "number" ? Number(s) : typeof v === "boolean" ? s === "1" : s;
+  }
+  return parseSemagramParams(raw, base);
+}
+
+// Without the leading "#"
+export function encodePermalink(state: LabState) {
+  const out = new URLSearchParams({ v: String(PERMALINK_VERSION), gen: String(GENERATOR_VERSION), mode: state.mode });
+  if (state.mode === "blend") out.set("blend", String(state.blend));
+  writeParams(out, state.p, "");
+  if (state.mode === "blend") writeParams(out, state.p2, "b.");
+  return out.toString();
+}
+
+// null when the hash is not a permalink (or from a newer lab); throws on a
+// permalink whose values are invalid. What a link leaves out (B outside blend
+// mode, the blend amount) keeps its value from `current`.
+export function decodePermalink(hash: string, current: LabState): LabState | null {
+  const src = new URLSearchParams(hash.replace(/^#/, ""));
+  const v = Number(src.get("v"));
+  if (!Number.isInteger(v) || v < 1 || v > PERMALINK_VERSION) return null;
+  // links from before `gen` was written do not say
+  const gen = src.get("gen");
+  if (gen !== null && Number(gen) !== GENERATOR_VERSION) {
+    console.warn(`Permalink is from generator version ${gen}, this is ${GENERATOR_VERSION}; the glyph may draw differently`);
+  }
+
+  const mode = (src.get("mode") ?? current.mode) as LabMode;
+  if (!MODES.includes(mode)) throw new Error(`Unknown mode: ${mode}`);
+  const blend = src.has("blend") ? Number(src.get("blend")) : current.blend;
+  if (!Number.isFinite(blend) || blend < 0 || blend > 1) throw new Error("blend must be a number between 0 and 1");
+
+  const hasB = [...src.keys()].some((k) => k.startsWith("b."));
+  return { mode, blend, p: readParams(src, defaultParams, ""), p2: hasB ? readParams(src, defaultParams, "b.") : current.p2 };
+}
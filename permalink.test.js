@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import { decodePermalink, encodePermalink, type LabState } from "./permalink";
+import { GENERATOR_VERSION, defaultParams } from "./semagram";
+
+const current: LabState = {
+  mode: "single",
+  p: defaultParams,
+  p2: { ...defaultParams, proposition: "Something else", seed: "b" },
+  blend: 0.5,
+};
+
+const single: LabState = { ...current, p: { ...defaultParams, proposition: "Élan & vie = 1?", seed: "s#1", certainty: 0.25, negation: true, perspective: "3rd" } };
+const blend: LabState = { mode: "blend", p: single.p, p2: { ...defaultParams, proposition: "Tomorrow", temporality: 0.9 }, blend: 0.3 };
+
+describe("permalinks", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("round-trip the lab state", () => {
+    expect(decodePermalink(encodePermalink(single), current)).toEqual(single);
+    expect(decodePermalink(`#${encodePermalink(blend)}`, current)).toEqual(blend);
+  });
+
+  it("keep B and the blend amount from the lab outside blend mode", () => {
+    const hash = encodePermalink({ ...single, blend: 0.9, p2: blend.p2 });
+    expect(hash).not.toMatch(/(^|&)(blend|b\.q)=/);
+    expect(decodePermalink(hash, current)).toEqual({ ...single, blend: current.blend, p2: current.p2 });
+  });
+
+  it("record the generator version", () => {
+    expect(new URLSearchParams(encodePermalink(single)).get("gen")).toBe(String(GENERATOR_VERSION));
+  });
+
+  it("warn when another generator made the link", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const hash = encodePermalink(single).replace(/gen=\d+/, `gen=${GENERATOR_VERSION - 1}`);
+    expect(decodePermalink(hash, current)).toEqual(single);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining(`generator version ${GENERATOR_VERSION - 1}`));
+  });
+
+  it("open links from before the generator version quietly", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(decodePermalink(encodePermalink(single).replace(/&?gen=\d+/, ""), current)).toEqual(single);
+    decodePermalink(encodePermalink(single), current);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it("take defaults for params a link leaves out", () => {
+    expect(decodePermalink("v=1&mode=single&q=Arrival", current)).toEqual({ ...current, p: { ...defaultParams, proposition: "Arrival" } });
+  });
+
+  it("ignore hashes that are not permalinks", () => {
+    expect(decodePermalink("", current)).toBeNull();
+    expect(decodePermalink("#section-2", current)).toBeNull();
+    expect(decodePermalink("v=99&mode=single", current)).toBeNull();
+  });
+
+  it("throw on invalid values", () => {
+    expect(() => decodePermalink("v=1&mode=spiral", current)).toThrow("Unknown mode: spiral");
+    expect(() => decodePermalink("v=1&mode=blend&blend=2", current)).toThrow("blend must be a number between 0 and 1");
+    expect(() => decodePermalink("v=1&p=4th", current)).toThrow("perspective must be");
+  });
+});
@@ -0,0 +1,212 @@
+// Pen plotter and CNC export: G-code and HPGL straight from glyph geometry
+//
+// Plotters draw one pen-width line at a time and ignore stroke width, opacity
+// and dash arrays, so each stroke is rebuilt as toolpaths: dashes become real
+// pen lifts, widths become parallel passes one pen apart, and the centre node
+// fills with concentric circles. Arcs go out as native arcs (G2/G3, AA) or as
+// polylines for firmware without them. Colour and opacity are dropped; run the
+// tidy pass first (tidy.js) so overlapping arcs are not drawn twice.
+import { TAU, lerp, polar, type GlyphLayer, type Line } from "./semagram";
+import { glyphStrokes, orderStrokes, reverseStroke, strokeEnds, type Stroke } from "./tidy";
+
+export type PlotFormat = "gcode" | "hpgl";
+export type PlotPaper = "a4" | "a3" | "letter";
+
+export type PlotOptions = {
+  paper?: PlotPaper | { width: number; height: number }; // mm, portrait
+  margin?: number; // mm of paper left clear on every side
+  penWidth?: number; // mm; also the spacing of hatch passes
+  feed?: number; // mm/min while drawing
+  penUp?: string; // G-code lines, e.g. a servo "M5" or a Z move
+  penDown?: string;
+  arcs?: "native" | "polyline";
+  tolerance?: number; // mm a polyline may stray from its arc
+  title?: string; // G-code only, written as a comment
+};
+
+export const PLOT_PAPERS: Record<PlotPaper, [number, number]> = { a4: [210, 297], a3: [297, 420], letter: [215.9, 279.4] };
+
+const DEFAULTS = { paper: "a4", margin: 15, penWidth: 0.5, feed: 1500, penUp: "G0 Z2", penDown: "G1 Z0 F300", arcs: "native", tolerance: 0.05, title: "" } as const;
+
+// Glyph space is the 640-unit square svgDocument draws
+const CANVAS_SIZE = 640;
+
+// --- Glyph space ---
+// The transforms layoutComposite writes: translate(x y) scale(s)
+function placement(transform?: string) {
+  const t = transform?.match(/translate\(\s*(-?[\d.]+)[\s,]+(-?[\d.]+)\s*\)/);
+  const s = transform?.match(/scale\(\s*(-?[\d.]+)/);
+  return { x: t ? Number(t[1]) : 0, y: t ? Number(t[2]) : 0, k: s ? Number(s[1]) : 1 };
+}
+
+const strokeLength = (s: Stroke) => (s.kind === "arc" ? Math.abs(s.arc.a1 - s.arc.a0) * s.arc.r : Math.hypot(s.x2 - s.x1, s.y2 - s.y1));
+
+// The part of a stroke between lengths t0 and t1 along it
+function substroke(s: Stroke, t0: number, t1: number): Stroke {
+  const f0 = t0 / strokeLength(s);
+  const f1 = t1 / strokeLength(s);
+  if (s.kind === "arc") return { ...s, arc: { ...s.arc, a0: lerp(s.arc.a0, s.arc.a1, f0), a1: lerp(s.arc.a0, s.arc.a1, f1) }, dash: undefined };
+  return { ...s, x1: lerp(s.x1, s.x2, f0), y1: lerp(s.y1, s.y2, f0), x2: lerp(s.x1, s.x2, f1), y2: lerp(s.y1, s.y2, f1) };
+}
+
+// A dashed stroke as its dashes, each one a pen-down of its own. Odd
+// patterns repeat, as stroke-dasharray does.
+function splitDashes(s: Stroke): Stroke[] {
+  const pattern = s.kind === "arc" && s.dash ? s.dash.trim().split(/[\s,]+/).map(Number).filter((n) => n >= 0) : [];
+  const cycle = pattern.length % 2 ? [...pattern, ...pattern] : pattern;
+  const length = strokeLength(s);
+  if (!cycle.length || cycle.reduce((a, b) => a + b, 0) <= 0) return [s];
+  const out: Stroke[] = [];
+  for (let t = 0, i = 0; t < length; t += cycle[i], i = (i + 1) % cycle.length) {
+    if (i % 2 === 0 && cycle[i] > 0) out.push(substroke(s, t, Math.min(length, t + cycle[i])));
+  }
+  return out;
+}
+
+// Centre node as the renderer draws it: a filled disc (a ring as wide as its
+// radius, which the hatch passes fill) and, off first person, a hairline ring
+function nodeStrokes(layer: GlyphLayer): Stroke[] {
+  const { agency, perspective } = layer.params;
+  const r = lerp(6, 16, agency);
+  const circle = (radius: number, w: number): Stroke => ({ kind: "arc", arc: { cx: 0, cy: 0, r: radius, a0: 0, a1: TAU }, w });
+  return perspective === "1st" ? [circle(r / 2, r)] : [circle(r / 2, r), circle(lerp(12, 22, agency), 1)];
+}
+
+// --- Paper space ---
+// Millimetres, origin at the paper's lower left, y up (both formats' convention)
+function toPaper(s: Stroke, layer: { x: number; y: number; k: number }, scale: number, origin: { x: number; y: number }): Stroke {
+  const k = layer.k * scale;
+  const x = (gx: number) => origin.x + (layer.x + layer.k * gx) * scale;
+  const y = (gy: number) => origin.y - (layer.y + layer.k * gy) * scale;
+  // flipping y mirrors every angle
+  if (s.kind === "arc") return { ...s, arc: { cx: x(s.arc.cx), cy: y(s.arc.cy), r: s.arc.r * k, a0: -s.arc.a0, a1: -s.arc.a1 }, w: s.w * k };
+  return { ...s, x1: x(s.x1), y1: y(s.y1), x2: x(s.x2), y2: y(s.y2), w: s.w * k };
+}
+
+// Width as passes one pen apart, outer passes inset by half a pen so the ink
+// spans the stroke's own width
+function passes(s: Stroke, pen: number): Stroke[] {
+  const n = s.w <= pen ? 1 : Math.ceil((s.w - pen) / pen) + 1;
+  const offsets = Array.from({ length: n }, (_, i) => (n === 1 ? 0 : lerp(-(s.w - pen) / 2, (s.w - pen) / 2, i / (n - 1))));
+  if (s.kind === "arc") return offsets.filter((o) => s.arc.r + o > pen / 4).map((o) => ({ ...s, arc: { ...s.arc, r: s.arc.r + o } }));
+  const len = Math.hypot(s.x2 - s.x1, s.y2 - s.y1) || 1;
+  const [nx, ny] = [-(s.y2 - s.y1) / len, (s.x2 - s.x1) / len];
+  return offsets.map((o) => ({ ...s, x1: s.x1 + nx * o, y1: s.y1 + ny * o, x2: s.x2 + nx * o, y2: s.y2 + ny * o }));
+}
+
+function paperSize(paper: NonNullable<PlotOptions["paper"]>) {
+  return typeof paper === "string" ? { width: PLOT_PAPERS[paper][0], height: PLOT_PAPERS[paper][1] } : paper;
+}
+
+// Toolpaths for one stroke, from its start: its width passes back and forth,
+// each pass running along every dash, so the pen only lifts over the gaps.
+// Dash lengths are in glyph units, so dashes split before the move to paper.
+function toolpaths(s: Stroke, toPaperSpace: (s: Stroke) => Stroke, pen: number) {
+  const dashes = splitDashes(s).map((dash) => passes(toPaperSpace(dash), pen));
+  return (dashes[0] ?? []).flatMap((_, k) => {
+    const row = dashes.map((d) => d[k]);
+    return k % 2 ? row.reverse().map(reverseStroke) : row;
+  });
+}
+
+// Every toolpath for the layers, in paper millimetres and drawing order.
+// Whole strokes are ordered, then expanded into dashes and passes in place:
+// ordering every piece on its own would cost the square of a far larger count.
+export function plotStrokes(layers: GlyphLayer[], options: PlotOptions = {}): Stroke[] {
+  const o = { ...DEFAULTS, ...options };
+  const { width, height } = paperSize(o.paper);
+  const scale = Math.min(width, height) - 2 * o.margin;
+  if (!(scale > 0)) throw new Error("Margins leave no room on the paper");
+  const origin = { x: width / 2, y: height / 2 };
+
+  // each stroke ordered as the line from its first toolpath's start to its
+  // last one's end, which an even number of passes brings back to the start
+  const strokes = layers.flatMap((layer) => {
+    const place = placement(layer.transform);
+    const bridges = (layer.bridges ?? []).map((c: Line): Stroke => ({ kind: "line", x1: c.x1, y1: c.y1, x2: c.x2, y2: c.y2, w: c.w }));
+    const paper = (s: Stroke) => toPaper(s, place, scale / CANVAS_SIZE, origin);
+    return [...bridges, ...glyphStrokes(layer.glyph), ...nodeStrokes(layer)].flatMap((s) => {
+      const paths = toolpaths(s, paper, o.penWidth);
+      if (!paths.length) return [];
+      const [start, end] = [strokeEnds(paths[0])[0], strokeEnds(paths[paths.length - 1])[1]];
+      return [{ kind: "line" as const, x1: start.x, y1: start.y, x2: end.x, y2: end.y, w: s.w, paths }];
+    });
+  });
+  // a stroke ordered back to front (a copy) draws its toolpaths the same way
+  const forward = new Set(strokes);
+  return orderStrokes(strokes, { x: 0, y: 0 }).flatMap((s) => (forward.has(s) ? s.paths : [...s.paths].reverse().map(reverseStroke)));
+}
+
+// Chord count keeping an arc within `tolerance` of true
+function arcPoints(arc: Extract<Stroke, { kind: "arc" }>["arc"], tolerance: number) {
+  const step = 2 * Math.acos(Math.max(-1, 1 - tolerance / Math.max(arc.r, tolerance)));
+  const n = Math.max(1, Math.ceil(Math.abs(arc.a1 - arc.a0) / step));
+  return Array.from({ length: n }, (_, i) => polar(arc.cx, arc.cy, arc.r, lerp(arc.a0, arc.a1, (i + 1) / n)));
+}
+
+// Pen-up travel only where the next stroke does not start where the last ended
+function eachPath(strokes: Stroke[], lift: (to: { x: number; y: number }) => void, draw: (s: Stroke) => void) {
+  let at: { x: number; y: number } | null = null;
+  for (const s of strokes) {
+    const [a, b] = strokeEnds(s);
+    if (!at || Math.hypot(a.x - at.x, a.y - at.y) > 1e-3) lift(a);
+    draw(s);
+    at = b;
+  }
+}
+
+const mm = (n: number) => (Math.abs(n) < 5e-4 ? "0" : n.toFixed(3).replace(/\.?0+$/, ""));
+
+// --- G-code ---
+export function layersToGCode(layers: GlyphLayer[], options: PlotOptions = {}) {
+  const o = { ...DEFAULTS, ...options };
+  const strokes = plotStrokes(layers, o);
+  // plain ASCII comment; some firmware chokes on anything else
+  const title = (o.title || "Heptapod semagram").normalize("NFKD").replace(/[^\x20-\x7e]/g, "");
+  const out = [`; ${title}`, "G21 ; millimetres", "G90 ; absolute", o.penUp];
+  let down = false;
+
+  eachPath(
+    strokes,
+    (to) => {
+      if (down) out.push(o.penUp);
+      out.push(`G0 X${mm(to.x)} Y${mm(to.y)}`, o.penDown);
+      down = true;
+    },
+    (s) => {
+      if (s.kind === "line") return out.push(`G1 X${mm(s.x2)} Y${mm(s.y2)} F${o.feed}`);
+      if (o.arcs === "polyline") return arcPoints(s.arc, o.tolerance).forEach((p) => out.push(`G1 X${mm(p.x)} Y${mm(p.y)} F${o.feed}`));
+      // I J: centre relative to the start; y is up, so increasing angles turn anticlockwise (G3)
+      const [a, b] = strokeEnds(s);
+      out.push(`${s.arc.a1 > s.arc.a0 ? "G3" : "G2"} X${mm(b.x)} Y${mm(b.y)} I${mm(s.arc.cx - a.x)} J${mm(s.arc.cy - a.y)} F${o.feed}`);
+    }
+  );
+
+  out.push(o.penUp, "G0 X0 Y0", "M2");
+  return out.join("\n") + "\n";
+}
+
+// --- HPGL ---
+const PLU_PER_MM = 40;
+const plu = (n: number) => Math.round(n * PLU_PER_MM);
+
+export function layersToHPGL(layers: GlyphLayer[], options: PlotOptions = {}) {
+  const o = { ...DEFAULTS, ...options };
+  const strokes = plotStrokes(layers, o);
+  // VS is in cm/s
+  const out = ["IN;", "SP1;", `VS${Math.max(1, Math.round(o.feed / 600))};`];
+
+  eachPath(
+    strokes,
+    (to) => out.push(`PU${plu(to.x)},${plu(to.y)};`),
+    (s) => {
+      if (s.kind === "line") return out.push(`PD${plu(s.x2)},${plu(s.y2)};`);
+      if (o.arcs === "polyline") return out.push(`PD${arcPoints(s.arc, o.tolerance).map((p) => `${plu(p.x)},${plu(p.y)}`).join(",")};`);
+      // AA sweeps about a centre from the pen's position, anticlockwise positive
+      out.push("PD;", `AA${plu(s.arc.cx)},${plu(s.arc.cy)},${(((s.arc.a1 - s.arc.a0) * 180) / Math.PI).toFixed(2)};`);
+    }
+  );
+
+  out.push("PU;", "SP0;");
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "@jest/globals";
+import { PLOT_PAPERS, layersToGCode, layersToHPGL, plotStrokes } from "./plotter";
+import { defaultParams, generateSegments, type GlyphLayer } from "./semagram";
+import { strokeEnds } from "./tidy";
+
+const layer = (p: Partial<typeof defaultParams>): GlyphLayer => {
+  const params = { ...defaultParams, ...p };
+  return { glyph: generateSegments(params), params, color: "#000" };
+};
+
+const simple = [layer({ proposition: "Arrival", seed: "arrival" })];
+const heavy = [
+  layer({
+    proposition: "The heptapods offered humanity a language that rewires how its speakers perceive time itself and nothing else",
+    negation: true,
+    hypothetical: true,
+    certainty: 1,
+    emphasis: 1,
+    temporality: 1,
+  }),
+];
+
+describe("plotStrokes", () => {
+  it("keeps every toolpath inside the paper's margins", () => {
+    const [width, height] = PLOT_PAPERS.a4;
+    for (const s of plotStrokes(simple, { margin: 20 })) {
+      for (const p of strokeEnds(s)) {
+        expect(p.x).toBeGreaterThanOrEqual(20 - 1e-6);
+        expect(p.x).toBeLessThanOrEqual(width - 20 + 1e-6);
+        expect(p.y).toBeGreaterThanOrEqual((height - width) / 2 + 20 - 1e-6);
+        expect(p.y).toBeLessThanOrEqual((height + width) / 2 - 20 + 1e-6);
+      }
+    }
+  });
+
+  it("hatches wider strokes with more passes", () => {
+    expect(plotStrokes(simple, { penWidth: 0.2 }).length).toBeGreaterThan(plotStrokes(simple, { penWidth: 1 }).length);
+  });
+
+  it("rejects margins that leave no paper", () => {
+    expect(() => plotStrokes(simple, { margin: 200 })).toThrow("Margins leave no room");
+  });
+
+  // Ordering runs over whole strokes, not over every dash and pass
+  it("plots a heavy dashed glyph quickly", () => {
+    const started = Date.now();
+    const strokes = plotStrokes(heavy);
+    expect(Date.now() - started).toBeLessThan(3000);
+    expect(strokes.length).toBeGreaterThan(1000);
+  });
+});
+
+describe("layersToGCode", () => {
+  const gcode = layersToGCode(simple, { title: "“Arrival” — test" });
+  const lines = gcode.trim().split("\n");
+
+  it("writes an ASCII header and ends with the pen up", () => {
+    expect(lines.slice(0, 3)).toEqual(["; Arrival  test", "G21 ; millimetres", "G90 ; absolute"]);
+    expect(lines.slice(-3)).toEqual(["G0 Z2", "G0 X0 Y0", "M2"]);
+    expect(gcode).toMatch(/^[\x20-\x7e\n]*$/);
+  });
+
+  it("only draws with the pen down", () => {
+    let down = false;
+    for (const l of lines) {
+      if (l === "G1 Z0 F300") down = true;
+      else if (l === "G0 Z2") down = false;
+      else if (/^G0 X/.test(l)) expect(down).toBe(false);
+      else if (/^G[123] X/.test(l)) expect(down).toBe(true);
+    }
+  });
+
+  it("writes arcs whose centre is as far from both ends", () => {
+    let x = 0;
+    let y = 0;
+    const arcs = lines.filter((l) => /^G[0-3] X/.test(l)).map((l) => {
+      const n = (k: string) => Number(l.match(new RegExp(`${k}(-?[\\d.]+)`))?.[1] ?? NaN);
+      const from = { x, y };
+      [x, y] = [n("X"), n("Y")];
+      return /^G[23]/.test(l) ? { from, to: { x, y }, c: { x: from.x + n("I"), y: from.y + n("J") } } : null;
+    });
+    const drawn = arcs.filter((a) => a !== null);
+    expect(drawn.length).toBeGreaterThan(0);
+    for (const a of drawn) {
+      expect(Math.hypot(a.to.x - a.c.x, a.to.y - a.c.y)).toBeCloseTo(Math.hypot(a.from.x - a.c.x, a.from.y - a.c.y), 1);
+    }
+  });
+
+  it("writes arcs as short lines with polyline", () => {
+    const polyline = layersToGCode(simple, { arcs: "polyline" });
+    expect(polyline).not.toMatch(/^G[23] /m);
+    expect(polyline).toMatch(/^G1 X/m);
+  });
+});
+
+describe("layersToHPGL", () => {
+  it("selects a pen, draws and puts it away", () => {
+    const lines = layersToHPGL(simple).trim().split("\n");
+    expect(lines.slice(0, 3)).toEqual(["IN;", "SP1;", "VS3;"]);
+    expect(lines.slice(-2)).toEqual(["PU;", "SP0;"]);
+    expect(lines.some((l) => /^AA-?\d+,-?\d+,-?[\d.]+;$/.test(l))).toBe(true);
+    expect(lines.every((l) => /^(IN|SP\d|VS\d+|PU(-?\d+,-?\d+)?|PD((-?\d+,-?\d+,?)*)|AA-?\d+,-?\d+,-?[\d.]+);$/.test(l))).toBe(true);
+  });
+
+  it("uses only PU and PD with polyline arcs", () => {
+    expect(layersToHPGL(simple, { arcs: "polyline" })).not.toMatch(/AA/);
+  });
+});
@@ -1,232 +1,476 @@
-import React, { useMemo, useRef, useState } from "react";
-
-// --- Utility: seeded RNG (mulberry32) and simple hash for strings ---
-function mulberry32(a: number) {
-  return function () {
-    let t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function hashStringToInt(str: string) {
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return (h >>> 0) || 1;
-}
-
-// --- Types for UI state ---
-interface SemagramParams {
-  proposition: string;
-  certainty: number; // 0..1 thickness & solidity
-  modality: number; // 0..1 obligation/possibility curve bias
-  temporality: number; // 0..1: 0 linear, 1 non-linear (more recursion)
-  agency: number; // 0..1: 0 external, 1 internal
-  perspective: "1st" | "2nd" | "3rd";
-  negation: boolean;
-  hypothetical: boolean;
-  emphasis: number; // 0..1 overall scale
-  seed: string;
-}
-
-const defaultParams: SemagramParams = {
-  proposition: "She was always there even before I knew her",
-  certainty: 0.68,
-  modality: 0.4,
-  temporality: 0.82,
-  agency: 0.55,
-  perspective: "1st",
-  negation: false,
-  hypothetical: false,
-  emphasis: 0.9,
-  seed: "arrival",
-};
-
-// --- Geometry helpers ---
-const TAU = Math.PI * 2;
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import { layoutComposite } from "./composite";
+import { decodeSemagramSVG, type DecodedCandidate, type DecodeResult } from "./decoder";
+import {
+  browserGalleryBackend,
+  createGalleryStore,
+  entryParams,
+  filterGallery,
+  galleryZip,
+  type GalleryEntry,
+  type GalleryQuery,
+  type GalleryReason,
+  type RangeParam,
+} from "./gallery";
+import { analyzeProposition, type InferredParams, type MarkerKind, type PropositionAnalysis, type WordRole } from "./grammar";
+import { browserBackend, createGraphemeStore, type GraphemeStore } from "./graphemeStore";
+import { drawingMarkup, labMetadata, readSVGMetadata } from "./metadata";
+import {
+  applyEdits,
+  createOverrideStore,
+  dashFromInput,
+  dashInputText,
+  localStorageOverrideBackend,
+  overrideKey,
+  samePart,
+  upsertEdit,
+  withOverrides,
+  type ConnectorEdit,
+  type PartEdit,
+  type PartRef,
+  type SegmentEdit,
+} from "./overrides";
+import { svgToPDF, type PDFPage } from "./pdf";
+import { PLOT_PAPERS, layersToGCode, layersToHPGL, type PlotOptions, type PlotPaper } from "./plotter";
+import { decodePermalink, encodePermalink, type LabMode, type LabState } from "./permalink";
+import {
+  BRIDGE_TIMING,
+  TAU,
+  blendGlyphs,
+  blendParams,
+  defaultParams,
+  freezeGraphemes,
+  generateSegments,
+  INK_FILTER_ID,
+  inkFilterMarkup,
+  isWordGrapheme,
+  lerp,
+  polar,
+  renderAnimatedSVGString,
+  renderLayersToSVGString,
+  splitContentWords,
+  strokeProgress,
+  writingSchedule,
+  type DocumentMetadata,
+  type Glyph,
+  type GlyphLayer,
+  type Line,
+  type LineCap,
+  type Segment,
+  type SemagramParams,
+  type StrokeTiming,
+  type WordGrapheme,
+} from "./semagram";
+import { THEME_PRESETS, defaultTheme, hexColor, parseThemeDocument, themeDocument, themeRenderOptions, type Theme } from "./theme";
+import { tidyGlyph } from "./tidy";
 
-function lerp(a: number, b: number, t: number) {
-  return a + (b - a) * t;
-}
-
-function polar(cx: number, cy: number, r: number, ang: number) {
-  return { x: cx + r * Math.cos(ang), y: cy + r * Math.sin(ang) };
+// --- Download helpers ---
+function saveFile(source: BlobPart, type: string, name: string) {
+  const url = URL.createObjectURL(new Blob([source], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
 }
 
-function arcPath(cx: number, cy: number, r: number, a0: number, a1: number) {
-  const start = polar(cx, cy, r, a0);
-  const end = polar(cx, cy, r, a1);
-  const large = Math.abs(a1 - a0) > Math.PI ? 1 : 0;
-  const sweep = a1 > a0 ? 1 : 0;
-  return `M ${start.x.toFixed(3)} ${start.y.toFixed(3)} A ${r.toFixed(3)} ${r.toFixed(3)} 0 ${large} ${sweep} ${end.x.toFixed(3)} ${end.y.toFixed(3)}`;
+// The canvas as a document of its own, built from the layers as the export
+// menu does, not serialized from the live canvas and its editor handles
+function canvasSVGString(layers: GlyphLayer[], theme: Theme, metadata: DocumentMetadata) {
+  return renderLayersToSVGString(layers, { ...themeRenderOptions(theme), metadata });
 }
 
-function clamp(n: number, lo: number, hi: number) {
-  return Math.max(lo, Math.min(hi, n));
+function downloadSVG(layers: GlyphLayer[], theme: Theme, metadata: DocumentMetadata, name = "semagram.svg") {
+  saveFile(canvasSVGString(layers, theme, metadata), "image/svg+xml;charset=utf-8", name);
 }
 
-// Choose a prime-ish spoke count based on content words
-function chooseSpokes(wordCount: number) {
-  const candidates = [7, 9, 11, 13, 17, 19];
-  const idx = clamp(Math.floor((wordCount - 3) / 3), 0, candidates.length - 1);
-  return candidates[idx];
+function downloadAnimatedSVG(layers: GlyphLayer[], theme: Theme, metadata: DocumentMetadata, name = "semagram-animated.svg") {
+  saveFile(renderAnimatedSVGString(layers, { ...themeRenderOptions(theme), duration: PLAYBACK_SECONDS, metadata }), "image/svg+xml;charset=utf-8", name);
 }
 
-function splitContentWords(text: string) {
-  return (text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(
-    (w) => !["the", "a", "an", "and", "or", "but", "is", "was", "am", "are"].includes(w)
-  );
+function copySVG(layers: GlyphLayer[], theme: Theme, metadata: DocumentMetadata) {
+  navigator.clipboard.writeText(canvasSVGString(layers, theme, metadata));
 }
 
-// --- Core generator ---
-function generateSegments(p: SemagramParams) {
-  const baseSeed = hashStringToInt(p.seed + "|" + p.proposition);
-  const rnd = mulberry32(baseSeed);
-
-  const words = splitContentWords(p.proposition);
-  const cx = 0;
-  const cy = 0;
-  const rings = clamp(3 + Math.floor(p.temporality * 3 + rnd() * 2), 3, 7);
-  const spokes = chooseSpokes(words.length || 1);
-  const radiusBase = 100;
-  const ringGap = 28 + rnd() * 6;
-
-  const segments: Array<{ d: string; w: number; dash?: string; opacity: number }[]> = [];
+// --- Export menu ---
+type ExportFormat = "svg" | "png" | "pdf" | "gcode" | "hpgl";
 
-  for (let i = 0; i < rings; i++) {
-    const r = radiusBase + i * ringGap;
-    const segs: Array<{ d: string; w: number; dash?: string; opacity: number }> = [];
+type ExportSettings = {
+  format: ExportFormat;
+  size: number; // px; for PDF only the "square" page uses it
+  background: "theme" | "transparent";
+  stroke: string | null; // null keeps each layer's own colour
+  margin: number;
+  page: PDFPage;
+  plot: PlotOptions & { paper: PlotPaper }; // G-code and HPGL only
+};
 
-    // ring sweep bias encodes modality (obligation vs possibility)
-    const bias = lerp(-0.6, 0.6, p.modality) + (rnd() - 0.5) * 0.2;
+const isPlot = (format: ExportFormat) => format === "gcode" || format === "hpgl";
 
-    for (let s = 0; s < spokes; s++) {
-      // start & end angles per segment
-      const a0 = (TAU * s) / spokes + bias * 0.2;
-      const jitter = (rnd() - 0.5) * (0.25 + p.temporality * 0.35);
-      const span = lerp(0.7, 1.55, p.temporality) + jitter;
-      const direction = rnd() > 0.5 ? 1 : -1;
-      const a1 = a0 + span * direction;
+const EXPORT_SIZES = [640, 1280, 2560, 5120];
 
-      // stroke width encodes certainty & emphasis, slight inward taper with i
-      const w = clamp(lerp(1.2, 5.5, p.certainty) * lerp(0.8, 1.15, p.emphasis) * (1 - i * 0.03), 0.8, 7);
+// Every export format starts from this one document
+function exportSVGString(layers: GlyphLayer[], s: ExportSettings, theme: Theme, metadata: DocumentMetadata) {
+  return renderLayersToSVGString(layers, {
+    ...themeRenderOptions(theme),
+    metadata,
+    size: s.size,
+    margin: s.margin,
+    color: s.stroke ?? undefined,
+    background: s.background === "transparent" ? null : theme.background,
+  });
+}
 
-      // dashed pattern toggles: negation & hypothetical
-      let dash: string | undefined = undefined;
-      if (p.negation && p.hypothetical) dash = `${lerp(2, 6, p.certainty).toFixed(1)} ${lerp(1, 3, 1 - p.certainty).toFixed(1)}`;
-      else if (p.negation) dash = `${lerp(4, 9, 1 - p.certainty).toFixed(1)} ${lerp(2, 4, p.certainty).toFixed(1)}`;
-      else if (p.hypothetical) dash = `${lerp(1.5, 4, 1 - p.certainty).toFixed(1)} ${lerp(1, 3, p.certainty).toFixed(1)}`;
+// Rasterise through an <img>, which sizes itself from the SVG's width/height
+function svgToPNG(svg: string, size: number) {
+  return new Promise<Blob>((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+      canvas.getContext("2d")!.drawImage(img, 0, 0, size, size);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Canvas is too large to encode"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not rasterise SVG"));
+    };
+    img.src = url;
+  });
+}
 
-      // perspective subtly rotates the ring
-      const perspRot = p.perspective === "1st" ? 0.0 : p.perspective === "2nd" ? 0.12 : -0.12;
+async function exportLayers(layers: GlyphLayer[], s: ExportSettings, theme: Theme, metadata: DocumentMetadata) {
+  // toolpaths come from the geometry itself, not the styled document
+  if (s.format === "gcode") return saveFile(layersToGCode(layers, { ...s.plot, title: metadata.title }), "text/plain;charset=utf-8", `semagram-${s.plot.paper}.gcode`);
+  if (s.format === "hpgl") return saveFile(layersToHPGL(layers, s.plot), "application/vnd.hp-hpgl", `semagram-${s.plot.paper}.plt`);
+  const svg = exportSVGString(layers, s, theme, metadata);
+  if (s.format === "svg") saveFile(svg, "image/svg+xml;charset=utf-8", "semagram.svg");
+  else if (s.format === "pdf") saveFile(svgToPDF(svg, { page: s.page, title: metadata.title }), "application/pdf", `semagram-${s.page}.pdf`);
+  else saveFile(await svgToPNG(svg, s.size), "image/png", `semagram-${s.size}.png`);
+}
 
-      const d = arcPath(cx, cy, r, a0 + perspRot, a1 + perspRot);
-      const opacity = 0.7 + (rnd() - 0.5) * 0.1 + (p.agency - 0.5) * 0.1; // internal agency = more opaque
+async function copyPNG(layers: GlyphLayer[], s: ExportSettings, theme: Theme, metadata: DocumentMetadata) {
+  // ClipboardItem accepts a promise, which keeps Safari's user-gesture check happy
+  await navigator.clipboard.write([new ClipboardItem({ "image/png": svgToPNG(exportSVGString(layers, s, theme, metadata), s.size) })]);
+}
 
-      segs.push({ d, w, dash, opacity: clamp(opacity, 0.45, 1) });
-    }
+function downloadLexicon(lexicon: GraphemeStore<WordGrapheme>, name = "heptapod-lexicon.json") {
+  saveFile(JSON.stringify(lexicon.exportLexicon(), null, 2), "application/json;charset=utf-8", name);
+}
 
-    segments.push(segs);
+async function importLexiconFile(lexicon: GraphemeStore<WordGrapheme>, file: File) {
+  try {
+    lexicon.importLexicon(JSON.parse(await file.text()));
+  } catch (err) {
+    alert(`Could not import lexicon: ${(err as Error).message}`);
   }
+}
 
-  // Anchor spokes (radial joints) tie rings together
-  const connectors: Array<{ x1: number; y1: number; x2: number; y2: number; w: number; opacity: number }>[] = [];
-  for (let i = 0; i < rings - 1; i++) {
-    const r0 = radiusBase + i * ringGap;
-    const r1 = radiusBase + (i + 1) * ringGap;
-    const conns: Array<{ x1: number; y1: number; x2: number; y2: number; w: number; opacity: number }> = [];
-    for (let s = 0; s < spokes; s++) {
-      const a = (TAU * s) / spokes + (rnd() - 0.5) * 0.03;
-      const p0 = polar(0, 0, r0, a);
-      const p1 = polar(0, 0, r1, a);
-      conns.push({ x1: p0.x, y1: p0.y, x2: p1.x, y2: p1.y, w: lerp(0.6, 2.2, p.certainty), opacity: 0.25 + p.temporality * 0.25 });
-    }
-    connectors.push(conns);
+// --- Themes ---
+const THEME_KEY = "heptapod-theme";
+
+// The last theme used in this browser, or the default
+function loadTheme() {
+  try {
+    const raw = window.localStorage.getItem(THEME_KEY);
+    return raw ? parseThemeDocument(JSON.parse(raw)) : defaultTheme;
+  } catch (err) {
+    console.warn("Ignoring saved theme", err);
+    return defaultTheme;
   }
+}
 
-  return { segments, connectors, rings, spokes, radiusBase, ringGap };
+function downloadTheme(theme: Theme) {
+  const name = `${theme.name.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "theme"}.theme.json`;
+  saveFile(JSON.stringify(themeDocument(theme), null, 2), "application/json;charset=utf-8", name);
 }
 
-// --- Download helpers ---
-function downloadSVG(svgRef: React.RefObject<SVGSVGElement>, name = "semagram.svg") {
-  if (!svgRef.current) return;
-  const serializer = new XMLSerializer();
-  let source = serializer.serializeToString(svgRef.current);
-  if (!source.match(/^<svg[^>]+xmlns=\"http:\/\/www.w3.org\/2000\/svg\"/)) {
-    source = source.replace(/^<svg/, '<svg xmlns="http://www.w3.org/2000/svg"');
+async function readThemeFile(file: File) {
+  try {
+    return parseThemeDocument(JSON.parse(await file.text()));
+  } catch (err) {
+    alert(`Could not load theme: ${(err as Error).message}`);
+    return null;
   }
-  source = '<?xml version="1.0" standalone="no"?>
-' + source;
-  const url = URL.createObjectURL(new Blob([source], { type: "image/svg+xml;charset=utf-8" }));
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = name;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
 }
 
-function copySVG(svgRef: React.RefObject<SVGSVGElement>) {
-  if (!svgRef.current) return;
-  const serializer = new XMLSerializer();
-  const source = serializer.serializeToString(svgRef.current);
-  navigator.clipboard.writeText(source);
+// Length of one full writing playback, in the app and in animated exports
+const PLAYBACK_SECONDS = 6;
+
+// --- Server rendering ---
+const API_URL = "/api/semagram";
+
+// Ask the local API (server.js) for a glyph; only the drawing inside the
+// returned <svg> is kept, so the canvas supplies its own background and
+// viewBox, and its own title, description and metadata (ids included)
+async function fetchServerGlyph(params: SemagramParams, theme: Theme, tidy: boolean, signal: AbortSignal) {
+  // the canvas draws the background and ink texture itself
+  const query = new URLSearchParams({ background: "none", color: theme.stroke, cap: theme.lineCap, ...(tidy && { tidy: "1" }) });
+  const res = await fetch(`${API_URL}?${query}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(params),
+    signal,
+  });
+  if (!res.ok) {
+    const body = (await res.json().catch(() => null)) as { error?: string } | null;
+    throw new Error(body?.error || `HTTP ${res.status}`);
+  }
+  return drawingMarkup(await res.text());
 }
 
 function randomSeed() {
   return Math.random().toString(36).slice(2, 10);
 }
 
+// Shared by every render in this page; survives reloads through the browser backend
+const lexicon = createGraphemeStore(browserBackend(), isWordGrapheme);
+// Hand edits to glyphs, keyed by seed + proposition
+const overrides = createOverrideStore(localStorageOverrideBackend());
+// Downloaded and pinned glyphs
+const gallery = createGalleryStore(browserGalleryBackend());
+
+// --- Permalinks ---
+const initialState: LabState = {
+  mode: "single",
+  p: defaultParams,
+  p2: { ...defaultParams, proposition: "I only recognized her when time curved back", seed: "return" },
+  blend: 0.5,
+};
+
+// A broken link should still open the lab, just without its state
+function readPermalink(current: LabState) {
+  try {
+    return decodePermalink(window.location.hash, current);
+  } catch (err) {
+    console.warn("Ignoring invalid permalink", err);
+    return null;
+  }
+}
+
+function permalinkURL(state: LabState) {
+  return `${window.location.href.replace(/#.*$/, "")}#${encodePermalink(state)}`;
+}
+
 // --- UI Component ---
 export default function HeptapodSemagramLab() {
-  const [mode, setMode] = useState<"single" | "composite" | "blend">("single");
-  const [p, setP] = useState<SemagramParams>(defaultParams);
-  const [p2, setP2] = useState<SemagramParams>({ ...defaultParams, proposition: "I only recognized her when time curved back", seed: "return" });
-  const [blend, setBlend] = useState(0.5);
+  const [initial] = useState(() => readPermalink(initialState) ?? initialState);
+  const [mode, setMode] = useState<LabMode>(initial.mode);
+  const [p, setP] = useState<SemagramParams>(initial.p);
+  const [p2, setP2] = useState<SemagramParams>(initial.p2);
+  const [blend, setBlend] = useState(initial.blend);
+  const [editing, setEditing] = useState<"a" | "b">("a");
+  const [progress, setProgress] = useState(1);
+  const [playing, setPlaying] = useState(false);
+  const [lexiconRev, setLexiconRev] = useState(0);
+  const [source, setSource] = useState<"local" | "server">("local");
+  const [serverMarkup, setServerMarkup] = useState<string | null>(null);
+  const [serverError, setServerError] = useState<string | null>(null);
+  const [autoInfer, setAutoInfer] = useState(true);
+  const [tidy, setTidy] = useState(false);
+  const [theme, setTheme] = useState<Theme>(loadTheme);
+  const [galleryRev, setGalleryRev] = useState(0);
+  const [overridesRev, setOverridesRev] = useState(0);
+  // Glyph editor (single mode): unsaved edits for the glyph on screen
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [draft, setDraft] = useState<PartEdit[] | null>(null);
+  const [selected, setSelected] = useState<PartRef | null>(null);
+
+  // Params the shared controls act on: B only while editing it in blend mode
+  const editB = mode === "blend" && editing === "b";
+  const cp = editB ? p2 : p;
+  const setCp = editB ? setP2 : setP;
+  const analysis = useMemo(() => analyzeProposition(cp.proposition), [cp.proposition]);
+
+  // New text re-infers what the grammar shows; sliders moved afterwards win
+  // until the text changes again
+  const withText = (old: SemagramParams, proposition: string) => ({ ...old, proposition, ...(autoInfer ? analyzeProposition(proposition).inferred : {}) });
 
   const svgRef = useRef<SVGSVGElement>(null);
+  const importRef = useRef<HTMLInputElement>(null);
+  const decodeRef = useRef<HTMLInputElement>(null);
+  const [decoded, setDecoded] = useState<DecodeResult | null>(null);
+
+  useEffect(() => {
+    const unsubscribe = lexicon.subscribe(() => setLexiconRev((r) => r + 1));
+    lexicon.load().catch((err) => console.error("Could not load grapheme lexicon", err));
+    return unsubscribe;
+  }, []);
 
-  const clauses = useMemo(() => {
-    if (mode !== "composite") return [] as string[];
-    return p.proposition
-      .split(/
-+/)
-      .map((s) => s.trim())
-      .filter(Boolean);
-  }, [mode, p.proposition]);
+  useEffect(() => {
+    const unsubscribe = overrides.subscribe(() => setOverridesRev((r) => r + 1));
+    overrides.load().catch((err) => console.error("Could not load glyph overrides", err));
+    return unsubscribe;
+  }, []);
 
-  const glyphSingle = useMemo(() => generateSegments(p), [p]);
-  const glyphBlendA = useMemo(() => generateSegments(p), [p]);
-  const glyphBlendB = useMemo(() => generateSegments(p2), [p2]);
+  // Drafts belong to one glyph; a new seed or text starts from its saved edits
+  const editKey = overrideKey(p);
+  useEffect(() => {
+    setDraft(null);
+    setSelected(null);
+  }, [editKey]);
+  const editorActive = mode === "single" && editorOpen;
+  const saved = useMemo(() => overrides.get(editKey)?.edits ?? [], [editKey, overridesRev]);
+
+  useEffect(() => {
+    const unsubscribe = gallery.subscribe(() => setGalleryRev((r) => r + 1));
+    gallery.load().catch((err) => console.error("Could not load gallery", err));
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    window.localStorage.setItem(THEME_KEY, JSON.stringify(themeDocument(theme)));
+  }, [theme]);
+
+  // Keep the hash in step with the glyph; replaceState so sliders don't flood history
+  useEffect(() => {
+    const t = setTimeout(() => window.history.replaceState(null, "", `#${encodePermalink({ mode, p, p2, blend })}`), 300);
+    return () => clearTimeout(t);
+  }, [mode, p, p2, blend]);
+
+  // A link pasted into this tab only changes the hash
+  useEffect(() => {
+    const onHashChange = () => {
+      const next = readPermalink({ mode, p, p2, blend });
+      if (!next) return;
+      setMode(next.mode);
+      setP(next.p);
+      setP2(next.p2);
+      setBlend(next.blend);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [mode, p, p2, blend]);
+
+  // Freeze words once typing settles rather than every half-typed prefix
+  useEffect(() => {
+    const t = setTimeout(() => {
+      freezeGraphemes(splitContentWords(p.proposition), lexicon);
+      if (mode === "blend") freezeGraphemes(splitContentWords(p2.proposition), lexicon);
+    }, 800);
+    return () => clearTimeout(t);
+  }, [mode, p.proposition, p2.proposition]);
+
+  // Server rendering covers single mode; composite and blend compose locally
+  useEffect(() => {
+    if (source !== "server" || mode !== "single") return;
+    const ctrl = new AbortController();
+    const t = setTimeout(() => {
+      fetchServerGlyph(p, theme, tidy, ctrl.signal)
+        .then((markup) => {
+          setServerMarkup(markup);
+          setServerError(null);
+        })
+        .catch((err) => {
+          if (!ctrl.signal.aborted) setServerError((err as Error).message);
+        });
+    }, 250);
+    return () => {
+      clearTimeout(t);
+      ctrl.abort();
+    };
+  }, [source, mode, p, theme.stroke, theme.lineCap, tidy]);
+
+  const glyphGenerated = useMemo(() => generateSegments(p, lexicon), [p, lexiconRev]);
+  const glyphSingle = useMemo(() => applyEdits(glyphGenerated, (editorActive && draft) || saved), [glyphGenerated, editorActive, draft, saved]);
+  const glyphBlendA = useMemo(() => withOverrides(generateSegments(p, lexicon), p, overrides), [p, lexiconRev, overridesRev]);
+  const glyphBlendB = useMemo(() => withOverrides(generateSegments(p2, lexicon), p2, overrides), [p2, lexiconRev, overridesRev]);
+  const glyphBlend = useMemo(() => blendGlyphs(glyphBlendA, glyphBlendB, blend), [glyphBlendA, glyphBlendB, blend]);
+  const paramsBlend = useMemo(() => blendParams(p, p2, blend), [p, p2, blend]);
+
+  // Everything on the canvas as glyph layers, shared by the view and exports.
+  // Tidying renumbers parts, so the hand editor always sees the glyph untidied.
+  const layers = useMemo<GlyphLayer[]>(() => {
+    const drawn: GlyphLayer[] =
+      mode === "single"
+        ? [{ glyph: glyphSingle, params: p, color: theme.stroke }]
+        : mode === "blend"
+          ? [{ glyph: glyphBlend, params: paramsBlend, color: theme.stroke }]
+          : layoutComposite(p.proposition, p, { lexicon, overrides, palette: theme.ramp });
+    return tidy && !editorActive ? drawn.map((layer) => ({ ...layer, glyph: tidyGlyph(layer.glyph) })) : drawn;
+  }, [mode, glyphSingle, glyphBlend, paramsBlend, p, lexiconRev, overridesRev, theme, tidy, editorActive]);
+
+  // Server glyphs know nothing of hand edits, so edited ones render here
+  const serverView = mode === "single" && source === "server" && !editorActive && !saved.length;
+
+  // Title, description and reopenable state, on the canvas and in every export
+  const metadata = useMemo(
+    () => labMetadata({ mode, p, p2, blend }, mode === "single" ? glyphSingle : mode === "blend" ? glyphBlend : undefined),
+    [mode, p, p2, blend, glyphSingle, glyphBlend]
+  );
+
+  // Writing playback resumes from wherever the scrubber was left
+  useEffect(() => {
+    if (!playing) return;
+    const begin = performance.now() - progress * PLAYBACK_SECONDS * 1000;
+    let raf = 0;
+    const tick = (now: number) => {
+      const v = Math.min(1, (now - begin) / (PLAYBACK_SECONDS * 1000));
+      setProgress(v);
+      if (v < 1) raf = requestAnimationFrame(tick);
+      else setPlaying(false);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing]);
 
   const size = 640;
   const margin = 36;
 
-  // Palette used to distinguish composite layers subtly
-  const palette = ["#fafafa", "#d1d5db", "#a3a3a3", "#e5e7eb", "#cbd5e1"]; // light grays
+  // Keep what is on the canvas in the gallery, styled as shown
+  const record = (reason: GalleryReason) => gallery.add({ reason, state: { mode, p, p2, blend }, svg: canvasSVGString(layers, theme, metadata) });
+  const reopen = (state: LabState) => {
+    setMode(state.mode);
+    setP(state.p);
+    setP2(state.p2);
+    setBlend(state.blend);
+    setEditing("a");
+  };
+  const galleryEntries = useMemo(() => gallery.all(), [galleryRev]);
 
   return (
-    <div className="min-h-screen w-full bg-neutral-950 text-neutral-100 p-6 flex flex-col gap-6">
+    <div className="min-h-screen w-full bg-neutral-950 text-neutral-100 p-6 flex flex-col gap-6 [&_:focus-visible]:outline [&_:focus-visible]:outline-2 [&_:focus-visible]:outline-offset-2 [&_:focus-visible]:outline-sky-400">
       <header className="flex items-center justify-between">
         <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">Heptapod B Semagram Lab</h1>
         <div className="flex gap-2">
           <button
-            onClick={() => downloadSVG(svgRef)}
+            onClick={() => {
+              downloadSVG(layers, theme, metadata);
+              record("download");
+            }}
             className="px-4 py-2 rounded-2xl bg-neutral-800 hover:bg-neutral-700 shadow-md"
           >
             Download SVG
           </button>
           <button
-            onClick={() => copySVG(svgRef)}
+            onClick={() => {
+              downloadAnimatedSVG(layers, theme, metadata);
+              record("download");
+            }}
+            className="px-4 py-2 rounded-2xl bg-neutral-800 hover:bg-neutral-700 shadow-md"
+          >
+            Download animated SVG
+          </button>
+          <button
+            onClick={() => copySVG(layers, theme, metadata)}
             className="px-4 py-2 rounded-2xl bg-neutral-800 hover:bg-neutral-700 shadow-md"
           >
             Copy SVG
           </button>
+          <button onClick={() => record("pin")} className="px-4 py-2 rounded-2xl bg-neutral-800 hover:bg-neutral-700 shadow-md">
+            Pin
+          </button>
+          <button
+            onClick={() => navigator.clipboard.writeText(permalinkURL({ mode, p, p2, blend }))}
+            className="px-4 py-2 rounded-2xl bg-neutral-800 hover:bg-neutral-700 shadow-md"
+          >
+            Copy link
+          </button>
           <button
             onClick={() => {
               setP((old) => ({ ...old, seed: randomSeed() }));
@@ -238,10 +482,11 @@ export default function HeptapodSemagramLab() {
           </button>
           <button
             onClick={() => {
-              setP({ ...defaultParams });
-              setP2({ ...defaultParams, proposition: "I only recognized her when time curved back", seed: "return" });
-              setBlend(0.5);
-              setMode("single");
+              setP({ ...initialState.p });
+              setP2({ ...initialState.p2 });
+              setBlend(initialState.blend);
+              setEditing("a");
+              setMode(initialState.mode);
             }}
             className="px-4 py-2 rounded-2xl bg-neutral-800 hover:bg-neutral-700 shadow-md"
           >
@@ -259,6 +504,7 @@ export default function HeptapodSemagramLab() {
               <button
                 key={m}
                 onClick={() => setMode(m)}
+                aria-pressed={mode === m}
                 className={`px-3 py-2 rounded-xl text-sm ${mode === m ? "bg-neutral-700" : "bg-neutral-800 hover:bg-neutral-700"}`}
               >
                 {m[0].toUpperCase() + m.slice(1)}
@@ -266,70 +512,115 @@ export default function HeptapodSemagramLab() {
             ))}
           </div>
 
+          {/* Renderer */}
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-neutral-400">Render</span>
+            {(["local", "server"] as const).map((s) => (
+              <button
+                key={s}
+                onClick={() => setSource(s)}
+                aria-pressed={source === s}
+                className={`px-3 py-1 rounded-xl ${source === s ? "bg-neutral-700" : "bg-neutral-800 hover:bg-neutral-700"}`}
+              >
+                {s[0].toUpperCase() + s.slice(1)}
+              </button>
+            ))}
+            {source === "server" && mode !== "single" && <span className="text-xs text-neutral-500">single mode only</span>}
+            {source === "server" && mode === "single" && !serverView && <span className="text-xs text-neutral-500">hand-edited glyphs render locally</span>}
+            <label className="inline-flex items-center gap-2 ml-auto" title="Merge overlapping arcs, snap joints onto arcs and order strokes; off while editing by hand">
+              <input type="checkbox" checked={tidy} onChange={(e) => setTidy(e.target.checked)} />
+              <span>Tidy geometry</span>
+            </label>
+          </div>
+          {source === "server" && serverError && <p className="text-xs text-red-400">Server: {serverError}</p>}
+
           {/* Proposition Inputs */}
           {mode === "single" && (
             <div>
-              <label className="block text-sm mb-1">Proposition</label>
+              <label htmlFor="proposition" className="block text-sm mb-1">Proposition</label>
               <textarea
+                id="proposition"
                 value={p.proposition}
-                onChange={(e) => setP({ ...p, proposition: e.target.value })}
-                className="w-full h-24 rounded-xl bg-neutral-800 p-3 focus:outline-none"
+                onChange={(e) => setP(withText(p, e.target.value))}
+                className="w-full h-24 rounded-xl bg-neutral-800 p-3 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
               />
             </div>
           )}
 
           {mode === "composite" && (
             <div>
-              <label className="block text-sm mb-1">Composite (one clause per line)</label>
+              <label htmlFor="composite" className="block text-sm mb-1">Composite (one clause per line; indent or [bracket] to subordinate)</label>
               <textarea
+                id="composite"
                 value={p.proposition}
-                onChange={(e) => setP({ ...p, proposition: e.target.value })}
-                placeholder={"Clause A
-Clause B
-Clause C"}
-                className="w-full h-28 rounded-xl bg-neutral-800 p-3 focus:outline-none"
+                onChange={(e) => setP(withText(p, e.target.value))}
+                placeholder={"Main clause [subordinate clause]\n  indented subordinate\nAnother main clause"}
+                className="w-full h-28 rounded-xl bg-neutral-800 p-3 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
               />
-              <p className="text-xs mt-1 text-neutral-400">Each line becomes a layered semagram with subtle rotation/scale offsets.</p>
+              <p className="text-xs mt-1 text-neutral-400">Each clause becomes its own semagram. Subordinate clauses orbit their parent, smaller and joined by a bridging stroke; several main clauses orbit a shared hub.</p>
             </div>
           )}
 
           {mode === "blend" && (
             <div className="space-y-3">
               <div>
-                <label className="block text-sm mb-1">Proposition A</label>
+                <label htmlFor="proposition-a" className="block text-sm mb-1">Proposition A</label>
                 <textarea
+                  id="proposition-a"
                   value={p.proposition}
-                  onChange={(e) => setP({ ...p, proposition: e.target.value })}
-                  className="w-full h-20 rounded-xl bg-neutral-800 p-3 focus:outline-none"
+                  onChange={(e) => setP(withText(p, e.target.value))}
+                  className="w-full h-20 rounded-xl bg-neutral-800 p-3 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
                 />
               </div>
               <div>
-                <label className="block text-sm mb-1">Proposition B</label>
+                <label htmlFor="proposition-b" className="block text-sm mb-1">Proposition B</label>
                 <textarea
+                  id="proposition-b"
                   value={p2.proposition}
-                  onChange={(e) => setP2({ ...p2, proposition: e.target.value })}
-                  className="w-full h-20 rounded-xl bg-neutral-800 p-3 focus:outline-none"
+                  onChange={(e) => setP2(withText(p2, e.target.value))}
+                  className="w-full h-20 rounded-xl bg-neutral-800 p-3 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
                 />
               </div>
               <Slider label={`Blend (${(blend * 100).toFixed(0)}%)`} value={blend} onChange={setBlend} />
             </div>
           )}
 
+          {/* Blend edits A or B with the same controls */}
+          {mode === "blend" && (
+            <div className="flex items-center gap-2 text-sm">
+              <span className="text-neutral-400">Settings for</span>
+              {(["a", "b"] as const).map((side) => (
+                <button
+                  key={side}
+                  onClick={() => setEditing(side)}
+                  aria-pressed={editing === side}
+                  className={`px-3 py-1 rounded-xl ${editing === side ? "bg-neutral-700" : "bg-neutral-800 hover:bg-neutral-700"}`}
+                >
+                  Proposition {side.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* What the analyser read into the text */}
+          <GrammarPanel analysis={analysis} params={cp} auto={autoInfer} onAuto={setAutoInfer} onApply={(inferred) => setCp({ ...cp, ...inferred })} />
+
           {/* Shared controls */}
           <div className="grid grid-cols-2 gap-4 mt-2">
-            <Slider label="Certainty" value={p.certainty} onChange={(v) => setP({ ...p, certainty: v })} />
-            <Slider label="Modality" value={p.modality} onChange={(v) => setP({ ...p, modality: v })} />
-            <Slider label="Temporality" value={p.temporality} onChange={(v) => setP({ ...p, temporality: v })} />
-            <Slider label="Agency" value={p.agency} onChange={(v) => setP({ ...p, agency: v })} />
-            <Slider label="Emphasis" value={p.emphasis} onChange={(v) => setP({ ...p, emphasis: v })} />
+            <Slider label="Certainty" value={cp.certainty} onChange={(v) => setCp({ ...cp, certainty: v })} />
+            <Slider label="Modality" value={cp.modality} onChange={(v) => setCp({ ...cp, modality: v })} />
+            <Slider label="Temporality" value={cp.temporality} onChange={(v) => setCp({ ...cp, temporality: v })} />
+            <Slider label="Agency" value={cp.agency} onChange={(v) => setCp({ ...cp, agency: v })} />
+            <Slider label="Emphasis" value={cp.emphasis} onChange={(v) => setCp({ ...cp, emphasis: v })} />
           </div>
 
           <div className="grid grid-cols-2 gap-4 items-center">
             <div>
-              <label className="block text-sm mb-1">Perspective</label>
+              <label htmlFor="perspective" className="block text-sm mb-1">Perspective</label>
               <select
-                value={p.perspective}
-                onChange={(e) => setP({ ...p, perspective: e.target.value as SemagramParams["perspective"] })}
+                id="perspective"
+                value={cp.perspective}
+                onChange={(e) => setCp({ ...cp, perspective: e.target.value as SemagramParams["perspective"] })}
                 className="w-full rounded-xl bg-neutral-800 p-2"
               >
                 <option value="1st">1st</option>
@@ -338,10 +629,11 @@ Clause C"}
               </select>
             </div>
             <div>
-              <label className="block text-sm mb-1">Seed</label>
+              <label htmlFor="seed" className="block text-sm mb-1">Seed</label>
               <input
-                value={p.seed}
-                onChange={(e) => setP({ ...p, seed: e.target.value })}
+                id="seed"
+                value={cp.seed}
+                onChange={(e) => setCp({ ...cp, seed: e.target.value })}
                 className="w-full rounded-xl bg-neutral-800 p-2"
               />
             </div>
@@ -351,128 +643,360 @@ Clause C"}
             <label className="inline-flex items-center gap-2">
               <input
                 type="checkbox"
-                checked={p.negation}
-                onChange={(e) => setP({ ...p, negation: e.target.checked })}
+                checked={cp.negation}
+                onChange={(e) => setCp({ ...cp, negation: e.target.checked })}
               />
               <span>Negation</span>
             </label>
             <label className="inline-flex items-center gap-2">
               <input
                 type="checkbox"
-                checked={p.hypothetical}
-                onChange={(e) => setP({ ...p, hypothetical: e.target.checked })}
+                checked={cp.hypothetical}
+                onChange={(e) => setCp({ ...cp, hypothetical: e.target.checked })}
               />
               <span>Hypothetical</span>
             </label>
           </div>
 
+          {/* Hand edits */}
+          {mode === "single" && (
+            <EditorPanel
+              open={editorOpen}
+              onOpen={(open) => {
+                setEditorOpen(open);
+                setSelected(null);
+              }}
+              glyph={glyphSingle}
+              selected={selected}
+              saved={saved.length}
+              dirty={draft !== null}
+              onSelect={setSelected}
+              onEdit={(ref, set) => setDraft((d) => upsertEdit(d ?? saved, ref, set, glyphGenerated))}
+              onRevertPart={(ref) => setDraft((d) => (d ?? saved).filter((e) => !samePart(e, ref)))}
+              onSave={() => {
+                if (draft) overrides.set(editKey, draft);
+                setDraft(null);
+              }}
+              onDiscard={() => setDraft(null)}
+              onClear={() => {
+                overrides.set(editKey, []);
+                setDraft(null);
+              }}
+            />
+          )}
+
+          {/* Theme */}
+          <ThemePanel theme={theme} onChange={setTheme} />
+
+          {/* Export */}
+          <ExportMenu layers={layers} theme={theme} metadata={metadata} tidy={tidy} onExported={() => record("download")} />
+
+          {/* Lexicon */}
+          <div className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-neutral-400">
+              Lexicon: <span className="tabular-nums">{lexicon.size()}</span> stored graphemes
+            </span>
+            <div className="flex gap-2">
+              <button onClick={() => downloadLexicon(lexicon)} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+                Export
+              </button>
+              <button onClick={() => importRef.current?.click()} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+                Import
+              </button>
+              <input
+                ref={importRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (file) importLexiconFile(lexicon, file);
+                  e.target.value = "";
+                }}
+              />
+            </div>
+          </div>
+
+          {/* Decoder */}
+          <div className="space-y-2 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-neutral-400">Open or decode an SVG</span>
+              <button onClick={() => decodeRef.current?.click()} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+                Open…
+              </button>
+              <input
+                ref={decodeRef}
+                type="file"
+                accept="image/svg+xml,.svg"
+                className="hidden"
+                onChange={async (e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = "";
+                  if (!file) return;
+                  const text = await file.text();
+                  // files this lab exported say what they were made from
+                  try {
+                    const state = readSVGMetadata(text, { mode, p, p2, blend });
+                    if (state) {
+                      setDecoded(null);
+                      return reopen(state);
+                    }
+                  } catch (err) {
+                    return alert(`Could not open ${file.name}: ${(err as Error).message}`);
+                  }
+                  // the propositions and seeds on screen double as known phrases to verify
+                  setDecoded(
+                    decodeSemagramSVG(text, {
+                      lexicon,
+                      phrases: [p.proposition, p2.proposition],
+                      seeds: [p.seed, p2.seed],
+                    })
+                  );
+                }}
+              />
+            </div>
+            {decoded && (
+              <DecoderResults
+                result={decoded}
+                onApply={(c) => {
+                  setMode("single");
+                  setP({ ...p, ...decoded.params, proposition: c.phrase, seed: c.seed ?? p.seed });
+                }}
+                onClose={() => setDecoded(null)}
+              />
+            )}
+          </div>
+
           {/* Legend */}
           <Legend />
         </section>
 
         {/* Canvas */}
-        <section className="lg:col-span-7 xl:col-span-8 bg-neutral-900/60 rounded-2xl p-4 shadow-lg flex items-center justify-center">
+        <section className="lg:col-span-7 xl:col-span-8 bg-neutral-900/60 rounded-2xl p-4 shadow-lg flex flex-col items-center justify-center gap-3">
+          {/* An image to screen readers, or a group while it holds the editor's focusable handles */}
           <svg
             ref={svgRef}
             viewBox={`-${size / 2 + margin} -${size / 2 + margin} ${size + margin * 2} ${size + margin * 2}`}
             width={size}
             height={size}
+            role={editorActive ? "group" : "img"}
+            aria-labelledby="hw-title hw-desc"
           >
+            <title id="hw-title">{metadata.title}</title>
+            <desc id="hw-desc">{metadata.description}</desc>
+            <metadata id="hw-metadata">{JSON.stringify(metadata.data)}</metadata>
             {/* Background */}
-            <circle cx={0} cy={0} r={320} fill="#0a0a0a" />
+            {theme.background &&
+              (theme.backgroundShape === "disc" ? (
+                <circle cx={0} cy={0} r={size / 2} fill={theme.background} />
+              ) : (
+                <rect x={-size / 2 - margin} y={-size / 2 - margin} width={size + margin * 2} height={size + margin * 2} fill={theme.background} />
+              ))}
+            {theme.ink > 0 && <defs dangerouslySetInnerHTML={{ __html: inkFilterMarkup(theme.ink) }} />}
 
             {/* Render according to mode */}
-            {mode === "single" && (
-              <SemagramSVG glyph={glyphSingle} params={p} color="#fafafa" />
-            )}
+            <g filter={theme.ink > 0 ? `url(#${INK_FILTER_ID})` : undefined}>
+              {serverView && serverMarkup && <g dangerouslySetInnerHTML={{ __html: serverMarkup }} />}
 
-            {mode === "composite" && (
-              <>
-                {clauses.map((clause, i) => {
-                  const tParams: SemagramParams = { ...p, proposition: clause, seed: p.seed + ':' + i };
-                  const g = generateSegments(tParams);
-                  const rot = (i * TAU) / (clauses.length * 7);
-                  const scale = 1 - i * 0.06;
-                  const col = palette[i % palette.length];
-                  return (
-                    <g key={`comp-${i}`} transform={`rotate(${(rot * 180) / Math.PI}) scale(${scale})`} opacity={1 - i * 0.07}>
-                      <SemagramSVG glyph={g} params={tParams} color={col} />
+              {!serverView &&
+                layers.map((layer, i) => {
+                  const glyph = (
+                    <SemagramSVG
+                      glyph={layer.glyph}
+                      params={layer.params}
+                      color={layer.color}
+                      lineCap={theme.lineCap}
+                      bridges={layer.bridges}
+                      progress={progress < 1 ? progress : undefined}
+                    />
+                  );
+                  return layer.transform ? (
+                    <g key={`layer-${i}`} transform={layer.transform} opacity={layer.opacity}>
+                      {glyph}
                     </g>
+                  ) : (
+                    <React.Fragment key={`layer-${i}`}>{glyph}</React.Fragment>
                   );
                 })}
-              </>
-            )}
+            </g>
 
-            {mode === "blend" && (
-              <>
-                {/* A and B with opposing rotations and alpha weights */}
-                <g transform={`rotate(${-15})`} opacity={1 - blend * 0.65}>
-                  <SemagramSVG glyph={glyphBlendA} params={p} color="#e5e7eb" />
-                </g>
-                <g transform={`rotate(${15})`} opacity={0.35 + blend * 0.65}>
-                  <SemagramSVG glyph={glyphBlendB} params={p2} color="#cbd5e1" />
-                </g>
-                {/* Center node indicates blend state */}
-                <circle cx={0} cy={0} r={lerp(8, 18, (p.agency + p2.agency) / 2)} fill="#fafafa" opacity={0.25 + blend * 0.35} />
-              </>
+            {editorActive && (
+              <GlyphEditor
+                glyph={glyphSingle}
+                selected={selected}
+                svgRef={svgRef}
+                onSelect={setSelected}
+                onEdit={(ref, set) => setDraft((d) => upsertEdit(d ?? saved, ref, set, glyphGenerated))}
+              />
             )}
           </svg>
+
+          {/* Writing playback */}
+          <div className="flex items-center gap-3 w-full max-w-xl text-sm">
+            <button
+              onClick={() => {
+                if (playing) return setPlaying(false);
+                if (progress >= 1) setProgress(0);
+                setPlaying(true);
+              }}
+              className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700 w-20"
+            >
+              {playing ? "Pause" : "Play"}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.001}
+              value={progress}
+              onChange={(e) => {
+                setPlaying(false);
+                setProgress(parseFloat(e.target.value));
+              }}
+              className="flex-1"
+              aria-label="Writing progress"
+            />
+            <span className="tabular-nums text-neutral-400 w-12 text-right">{(progress * PLAYBACK_SECONDS).toFixed(1)}s</span>
+          </div>
         </section>
       </div>
 
+      {/* Gallery */}
+      <GalleryPanel entries={galleryEntries} onOpen={(e) => reopen(e.state)} onRemove={(ids) => gallery.remove(ids)} />
+
       <footer className="text-xs text-neutral-400 space-y-1">
         <p>
           This is a creative system inspired by the circular aesthetics of Heptapod B from *Story of Your Life* / *Arrival*. It does not claim to reproduce any official script.
         </p>
-        <p>Modes: <strong>Single</strong> renders one proposition. <strong>Composite</strong> layers multiple clauses (one per line). <strong>Blend</strong> fuses two propositions by overlay.</p>
+        <p>Modes: <strong>Single</strong> renders one proposition. <strong>Composite</strong> lays out a tree of clauses: one per line, with indented lines and [bracketed] spans as subordinates of the clause above. <strong>Blend</strong> morphs one proposition's geometry into another's.</p>
       </footer>
     </div>
   );
 }
 
-function SemagramSVG({ glyph, params, color }: { glyph: ReturnType<typeof generateSegments>; params: SemagramParams; color: string }) {
+// Markup must match renderGlyphToSVGString in semagram.js. With `progress`
+// (0..1) only what writing playback has drawn so far is shown.
+function SemagramSVG({
+  glyph,
+  params,
+  color,
+  lineCap = "round",
+  bridges = [],
+  progress,
+}: {
+  glyph: Glyph;
+  params: SemagramParams;
+  color: string;
+  lineCap?: LineCap;
+  bridges?: Line[];
+  progress?: number;
+}) {
+  const schedule = useMemo(() => writingSchedule(glyph), [glyph]);
+  const maskPrefix = useId().replace(/:/g, "");
+  const drawn = (t: StrokeTiming) => (progress === undefined ? 1 : strokeProgress(t, progress));
+  // a partly written stroke: dash offset over a normalised length
+  const partial = (f: number) => (f < 1 ? { pathLength: 1, strokeDasharray: "1 2", strokeDashoffset: lerp(1.01, 0, f) } : {});
+
   return (
     <g>
+      {/* Bridges to the parent clause (composite) */}
+      {bridges.map((c, i) => {
+        const f = drawn(BRIDGE_TIMING);
+        return f > 0 && (
+          <line
+            key={`bridge-${i}`}
+            x1={c.x1}
+            y1={c.y1}
+            x2={c.x2}
+            y2={c.y2}
+            stroke={color}
+            strokeWidth={c.w}
+            strokeLinecap={lineCap}
+            opacity={c.opacity}
+            {...partial(f)}
+          />
+        );
+      })}
+
       {/* Connectors */}
       {glyph.connectors.map((ring, i) => (
         <g key={`conn-${i}`} opacity={ring[0]?.opacity ?? 0.3}>
-          {ring.map((c, j) => (
+          {ring.map((c, j) => {
+            const f = drawn(schedule.connectors[i][j]);
+            return f > 0 && (
+              <line
+                key={`c-${i}-${j}`}
+                x1={c.x1}
+                y1={c.y1}
+                x2={c.x2}
+                y2={c.y2}
+                stroke={color}
+                strokeWidth={c.w}
+                strokeLinecap={lineCap}
+                opacity={c.opacity}
+                {...partial(f)}
+              />
+            );
+          })}
+        </g>
+      ))}
+
+      {/* Segments */}
+      {glyph.segments.map((ring, i) => (
+        <g key={`ring-${i}`}>
+          {ring.map((seg, j) => {
+            const f = drawn(schedule.segments[i][j]);
+            if (f <= 0) return null;
+            // dashed strokes keep their pattern and are revealed through a mask
+            const masked = f < 1 && !!seg.dash;
+            const maskId = `${maskPrefix}-m-${i}-${j}`;
+            return (
+              <React.Fragment key={`seg-${i}-${j}`}>
+                {masked && (
+                  <mask id={maskId} maskUnits="userSpaceOnUse" x={-1000} y={-1000} width={2000} height={2000}>
+                    <path d={seg.d} fill="none" stroke="#fff" strokeWidth={seg.w + 2} strokeLinecap="round" {...partial(f)} />
+                  </mask>
+                )}
+                <path
+                  d={seg.d}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={seg.w}
+                  strokeLinecap={lineCap}
+                  strokeLinejoin="round"
+                  strokeDasharray={seg.dash}
+                  opacity={seg.opacity}
+                  {...(masked ? { mask: `url(#${maskId})` } : partial(f))}
+                />
+              </React.Fragment>
+            );
+          })}
+        </g>
+      ))}
+
+      {/* Word grapheme spurs */}
+      <g>
+        {glyph.spurs.map((c, j) => {
+          const f = drawn(schedule.spurs[j]);
+          return f > 0 && (
             <line
-              key={`c-${i}-${j}`}
+              key={`spur-${j}`}
               x1={c.x1}
               y1={c.y1}
               x2={c.x2}
               y2={c.y2}
               stroke={color}
               strokeWidth={c.w}
-              strokeLinecap="round"
+              strokeLinecap={lineCap}
               opacity={c.opacity}
+              {...partial(f)}
             />
-          ))}
-        </g>
-      ))}
-
-      {/* Segments */}
-      {glyph.segments.map((ring, i) => (
-        <g key={`ring-${i}`}>
-          {ring.map((seg, j) => (
-            <path
-              key={`seg-${i}-${j}`}
-              d={seg.d}
-              fill="none"
-              stroke={color}
-              strokeWidth={seg.w}
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeDasharray={seg.dash}
-              opacity={seg.opacity}
-            />
-          ))}
-        </g>
-      ))}
+          );
+        })}
+      </g>
 
       {/* Center node encodes agency & perspective */}
-      <g>
+      <g opacity={progress === undefined ? undefined : drawn(schedule.node)}>
         <circle cx={0} cy={0} r={lerp(6, 16, params.agency)} fill={color} opacity={0.28 + params.agency * 0.35} />
         {params.perspective !== "1st" && (
           <circle cx={0} cy={0} r={lerp(12, 22, params.agency)} fill="none" stroke={color} opacity={0.18} />
@@ -483,10 +1007,12 @@ function SemagramSVG({ glyph, params, color }: { glyph: ReturnType<typeof genera
 }
 
 function Slider({ label, value, onChange }: { label: string; value: number; onChange: (v: number) => void }) {
+  const id = useId();
   return (
     <div>
-      <label className="block text-sm mb-1">{label}: <span className="tabular-nums">{typeof value === 'number' ? value.toFixed(2) : value}</span></label>
+      <label htmlFor={id} className="block text-sm mb-1">{label}: <span className="tabular-nums">{typeof value === 'number' ? value.toFixed(2) : value}</span></label>
       <input
+        id={id}
         type="range"
         min={0}
         max={1}
@@ -499,11 +1025,913 @@ function Slider({ label, value, onChange }: { label: string; value: number; onCh
   );
 }
 
+function DecoderResults({ result, onApply, onClose }: { result: DecodeResult; onApply: (c: DecodedCandidate) => void; onClose: () => void }) {
+  const { params } = result;
+  const fmt = (v: number | undefined) => (v === undefined ? "?" : v.toFixed(2));
+  return (
+    <div className="rounded-xl bg-neutral-800/60 p-3 text-xs space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-neutral-200">
+          {result.glyph.rings} rings · {result.glyph.graphemes.length} words
+        </span>
+        <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200">
+          Close
+        </button>
+      </div>
+      <p className="text-neutral-400 tabular-nums">
+        certainty {fmt(params.certainty)} · modality ~{fmt(params.modality)} · temporality {fmt(params.temporality)} · agency {fmt(params.agency)} · emphasis{" "}
+        {fmt(params.emphasis)} · {params.perspective ?? "?"}
+        {params.negation ? " · negation" : ""}
+        {params.hypothetical ? " · hypothetical" : ""}
+      </p>
+      {result.candidates.length ? (
+        <ol className="space-y-1">
+          {result.candidates.map((c) => (
+            <li key={c.phrase} className="flex items-center justify-between gap-2">
+              <span>
+                {c.phrase} <span className="text-neutral-500 tabular-nums">{(c.score * 100).toFixed(0)}%{c.seed ? ` · seed ${c.seed}` : ""}</span>
+              </span>
+              <button onClick={() => onApply(c)} className="px-2 py-0.5 rounded-lg bg-neutral-700 hover:bg-neutral-600">
+                Use
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-neutral-400">No candidate phrases: the lexicon has no words matching these marks.</p>
+      )}
+    </div>
+  );
+}
+
+function ExportMenu({
+  layers,
+  theme,
+  metadata,
+  tidy,
+  onExported,
+}: {
+  layers: GlyphLayer[];
+  theme: Theme;
+  metadata: DocumentMetadata;
+  tidy: boolean;
+  onExported: () => void;
+}) {
+  const [s, setS] = useState<ExportSettings>({
+    format: "png",
+    size: 1280,
+    background: "theme",
+    stroke: null,
+    margin: 36,
+    page: "square",
+    plot: { paper: "a4", margin: 15, penWidth: 0.5, feed: 1500, penUp: "G0 Z2", penDown: "G1 Z0 F300", arcs: "native" },
+  });
+  const [status, setStatus] = useState<string | null>(null);
+  const set = (patch: Partial<ExportSettings>) => setS((old) => ({ ...old, ...patch }));
+  const setPlot = (patch: Partial<ExportSettings["plot"]>) => setS((old) => ({ ...old, plot: { ...old.plot, ...patch } }));
+  const run = (action: () => Promise<void>, done: string | null) => {
+    setStatus("Working…");
+    action().then(
+      () => setStatus(done),
+      (err) => setStatus(`Failed: ${(err as Error).message}`)
+    );
+  };
+  const select = "bg-neutral-800 rounded-lg px-2 py-1";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-neutral-400">Export</span>
+        <div className="flex gap-2">
+          <button onClick={() => run(() => exportLayers(layers, s, theme, metadata).then(onExported), null)} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+            Download {s.format === "gcode" ? "G-code" : s.format.toUpperCase()}
+          </button>
+          <button onClick={() => run(() => copyPNG(layers, s, theme, metadata), "PNG copied")} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+            Copy as PNG
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="flex items-center justify-between gap-2">
+          Format
+          <select value={s.format} onChange={(e) => set({ format: e.target.value as ExportFormat })} className={select}>
+            <option value="png">PNG</option>
+            <option value="svg">SVG</option>
+            <option value="pdf">PDF</option>
+            <option value="gcode">G-code</option>
+            <option value="hpgl">HPGL</option>
+          </select>
+        </label>
+        {isPlot(s.format) ? (
+          <label className="flex items-center justify-between gap-2">
+            Paper
+            <select value={s.plot.paper} onChange={(e) => setPlot({ paper: e.target.value as PlotPaper })} className={select}>
+              {(Object.keys(PLOT_PAPERS) as PlotPaper[]).map((paper) => (
+                <option key={paper} value={paper}>
+                  {paper === "letter" ? "Letter" : paper.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : s.format === "pdf" ? (
+          <label className="flex items-center justify-between gap-2">
+            Page
+            <select value={s.page} onChange={(e) => set({ page: e.target.value as PDFPage })} className={select}>
+              <option value="square">Square</option>
+              <option value="a4">A4</option>
+              <option value="letter">Letter</option>
+            </select>
+          </label>
+        ) : (
+          <label className="flex items-center justify-between gap-2">
+            Size
+            <select value={s.size} onChange={(e) => set({ size: Number(e.target.value) })} className={select}>
+              {EXPORT_SIZES.map((px) => (
+                <option key={px} value={px}>
+                  {px}px{px > 640 ? ` (${px / 640}×)` : ""}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {isPlot(s.format) ? (
+          <>
+            <label className="flex items-center justify-between gap-2">
+              Pen (mm)
+              <input type="number" min={0.1} max={5} step={0.05} value={s.plot.penWidth} onChange={(e) => setPlot({ penWidth: Number(e.target.value) || 0.5 })} className={`${select} w-20`} />
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              Feed (mm/min)
+              <input type="number" min={1} step={100} value={s.plot.feed} onChange={(e) => setPlot({ feed: Number(e.target.value) || 1500 })} className={`${select} w-20`} />
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              Arcs
+              <select value={s.plot.arcs} onChange={(e) => setPlot({ arcs: e.target.value as PlotOptions["arcs"] })} className={select}>
+                <option value="native">{s.format === "gcode" ? "G2/G3" : "AA"}</option>
+                <option value="polyline">Polylines</option>
+              </select>
+            </label>
+            {s.format === "gcode" && (
+              <>
+                <label className="flex items-center justify-between gap-2">
+                  Pen up
+                  <input value={s.plot.penUp} onChange={(e) => setPlot({ penUp: e.target.value })} className={`${select} w-24 font-mono`} />
+                </label>
+                <label className="flex items-center justify-between gap-2">
+                  Pen down
+                  <input value={s.plot.penDown} onChange={(e) => setPlot({ penDown: e.target.value })} className={`${select} w-24 font-mono`} />
+                </label>
+              </>
+            )}
+          </>
+        ) : (
+          <>
+            <label className="flex items-center justify-between gap-2">
+              Background
+              <select value={s.background} onChange={(e) => set({ background: e.target.value as ExportSettings["background"] })} className={select}>
+                <option value="theme">Theme</option>
+                <option value="transparent">Transparent</option>
+              </select>
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              <span>
+                <input type="checkbox" checked={s.stroke !== null} onChange={(e) => set({ stroke: e.target.checked ? theme.stroke : null })} /> Stroke
+              </span>
+              <ColorField value={s.stroke ?? theme.stroke} disabled={s.stroke === null} onChange={(stroke) => set({ stroke })} label="Stroke colour" />
+            </label>
+          </>
+        )}
+      </div>
+      {isPlot(s.format) ? (
+        <label className="block">
+          Paper margin: <span className="tabular-nums">{s.plot.margin} mm</span>
+          <input type="range" min={0} max={60} step={1} value={s.plot.margin} onChange={(e) => setPlot({ margin: Number(e.target.value) })} className="w-full" />
+        </label>
+      ) : (
+        <label className="block">
+          Margin: <span className="tabular-nums">{s.margin}</span>
+          <input type="range" min={0} max={160} step={4} value={s.margin} onChange={(e) => set({ margin: Number(e.target.value) })} className="w-full" />
+        </label>
+      )}
+      {isPlot(s.format) && !tidy && <p className="text-xs text-neutral-500">Turn on Tidy geometry so overlapping arcs are plotted once.</p>}
+      {status && <p className="text-xs text-neutral-400">{status}</p>}
+    </div>
+  );
+}
+
+function ThemePanel({ theme, onChange }: { theme: Theme; onChange: (theme: Theme) => void }) {
+  const loadRef = useRef<HTMLInputElement>(null);
+  const preset = THEME_PRESETS.find((t) => JSON.stringify(t) === JSON.stringify(theme));
+  // any tweak turns a preset into a custom theme of its own
+  const set = (patch: Partial<Theme>) => onChange({ ...theme, ...patch, name: preset ? `${preset.name} (custom)` : theme.name });
+  const select = "bg-neutral-800 rounded-lg px-2 py-1";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-neutral-400">Theme</span>
+        <div className="flex gap-2">
+          <button onClick={() => downloadTheme(theme)} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+            Save
+          </button>
+          <button onClick={() => loadRef.current?.click()} className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+            Load
+          </button>
+          <input
+            ref={loadRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={async (e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              const loaded = file && (await readThemeFile(file));
+              if (loaded) onChange(loaded);
+            }}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="flex items-center justify-between gap-2">
+          Preset
+          <select
+            value={preset?.name ?? ""}
+            onChange={(e) => onChange(THEME_PRESETS.find((t) => t.name === e.target.value) ?? theme)}
+            className={select}
+          >
+            {!preset && <option value="">{theme.name}</option>}
+            {THEME_PRESETS.map((t) => (
+              <option key={t.name} value={t.name}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          Stroke
+          <ColorField value={theme.stroke} onChange={(stroke) => set({ stroke })} />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          <span>
+            <input type="checkbox" checked={theme.background !== null} onChange={(e) => set({ background: e.target.checked ? "#0a0a0a" : null })} /> Background
+          </span>
+          <ColorField value={theme.background ?? "#0a0a0a"} disabled={theme.background === null} onChange={(background) => set({ background })} />
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          Shape
+          <select value={theme.backgroundShape} onChange={(e) => set({ backgroundShape: e.target.value as Theme["backgroundShape"] })} className={select}>
+            <option value="disc">Disc</option>
+            <option value="square">Square</option>
+          </select>
+        </label>
+        <label className="flex items-center justify-between gap-2">
+          Caps
+          <select value={theme.lineCap} onChange={(e) => set({ lineCap: e.target.value as LineCap })} className={select}>
+            <option value="round">Round</option>
+            <option value="butt">Butt</option>
+            <option value="square">Square</option>
+          </select>
+        </label>
+      </div>
+      <Slider label="Ink texture" value={theme.ink} onChange={(ink) => set({ ink })} />
+      <div className="flex items-center gap-1">
+        <span className="text-neutral-400 mr-1">Layer ramp</span>
+        {theme.ramp.map((c, i) => (
+          <ColorField key={i} value={c} onChange={(color) => set({ ramp: theme.ramp.map((old, j) => (j === i ? color : old)) })} label={`Layer colour ${i + 1}`} narrow />
+        ))}
+        <button onClick={() => set({ ramp: [...theme.ramp, theme.ramp[theme.ramp.length - 1]] })} className="px-2 rounded-lg bg-neutral-800 hover:bg-neutral-700">
+          +
+        </button>
+        <button
+          onClick={() => set({ ramp: theme.ramp.slice(0, -1) })}
+          disabled={theme.ramp.length < 2}
+          className="px-2 rounded-lg bg-neutral-800 hover:bg-neutral-700 disabled:opacity-40"
+        >
+          −
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// --- Gallery ---
+const RANGE_PARAMS: RangeParam[] = ["certainty", "modality", "temporality", "agency", "emphasis"];
+
+const svgDataURL = (svg: string) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+function entryTitle(e: GalleryEntry) {
+  return e.state.mode === "blend" ? `${e.state.p.proposition} → ${e.state.p2.proposition}` : e.state.p.proposition;
+}
+
+function GalleryPanel({ entries, onOpen, onRemove }: { entries: GalleryEntry[]; onOpen: (e: GalleryEntry) => void; onRemove: (ids: string[]) => void }) {
+  const [words, setWords] = useState("");
+  const [seed, setSeed] = useState("");
+  const [mode, setMode] = useState<LabMode | "">("");
+  const [rangeKey, setRangeKey] = useState<RangeParam | "">("");
+  const [range, setRange] = useState<[number, number]>([0, 1]);
+  const [picked, setPicked] = useState<string[]>([]);
+  const [comparing, setComparing] = useState(false);
+
+  const query: GalleryQuery = { words, seed, mode: mode || undefined, ranges: rangeKey ? { [rangeKey]: range } : undefined };
+  const shown = filterGallery(entries, query);
+  // a selection only ever covers entries that still exist
+  const selection = entries.filter((e) => picked.includes(e.id));
+  const toggle = (id: string) => setPicked((old) => (old.includes(id) ? old.filter((x) => x !== id) : [...old, id]));
+  const input = "bg-neutral-800 rounded-lg px-2 py-1";
+
+  return (
+    <section className="bg-neutral-900/60 rounded-2xl p-4 shadow-lg space-y-3 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="font-semibold">
+          Gallery <span className="font-normal text-neutral-500">· {shown.length === entries.length ? entries.length : `${shown.length} of ${entries.length}`}</span>
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setComparing(true)}
+            disabled={selection.length !== 2}
+            className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-40"
+          >
+            Compare
+          </button>
+          <button
+            onClick={() => saveFile(galleryZip(selection), "application/zip", `semagrams-${selection.length}.zip`)}
+            disabled={!selection.length}
+            className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-40"
+          >
+            Export zip{selection.length ? ` (${selection.length})` : ""}
+          </button>
+          <button
+            onClick={() => {
+              if (!confirm(`Delete ${selection.length} gallery entr${selection.length === 1 ? "y" : "ies"}?`)) return;
+              onRemove(selection.map((e) => e.id));
+              setPicked([]);
+            }}
+            disabled={!selection.length}
+            className="px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-40"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2">
+        <input value={words} onChange={(e) => setWords(e.target.value)} placeholder="Words" aria-label="Filter by words" className={input} />
+        <input value={seed} onChange={(e) => setSeed(e.target.value)} placeholder="Seed" aria-label="Filter by seed" className={`${input} w-28`} />
+        <select value={mode} onChange={(e) => setMode(e.target.value as LabMode | "")} aria-label="Filter by mode" className={input}>
+          <option value="">Any mode</option>
+          <option value="single">Single</option>
+          <option value="composite">Composite</option>
+          <option value="blend">Blend</option>
+        </select>
+        <select value={rangeKey} onChange={(e) => setRangeKey(e.target.value as RangeParam | "")} aria-label="Filter by param" className={input}>
+          <option value="">Any params</option>
+          {RANGE_PARAMS.map((k) => (
+            <option key={k} value={k}>
+              {k[0].toUpperCase() + k.slice(1)}
+            </option>
+          ))}
+        </select>
+        {rangeKey && (
+          <span className="flex items-center gap-1">
+            {([0, 1] as const).map((end) => (
+              <input
+                key={end}
+                type="number"
+                min={0}
+                max={1}
+                step={0.05}
+                value={range[end]}
+                onChange={(e) => setRange((old) => (end ? [old[0], Number(e.target.value)] : [Number(e.target.value), old[1]]))}
+                className={`${input} w-20 tabular-nums`}
+                aria-label={end ? `Maximum ${rangeKey}` : `Minimum ${rangeKey}`}
+              />
+            ))}
+          </span>
+        )}
+        {picked.length > 0 && (
+          <button onClick={() => setPicked([])} className="text-neutral-400 hover:text-neutral-200">
+            Clear selection
+          </button>
+        )}
+      </div>
+
+      {comparing && selection.length === 2 && <GalleryCompare a={selection[0]} b={selection[1]} onOpen={onOpen} onClose={() => setComparing(false)} />}
+
+      {entries.length === 0 ? (
+        <p className="text-neutral-400">Downloads and pinned glyphs collect here.</p>
+      ) : (
+        <ul className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 xl:grid-cols-8 gap-3">
+          {shown.map((e) => (
+            <li key={e.id} className={`rounded-xl p-2 space-y-1 ${picked.includes(e.id) ? "bg-neutral-700" : "bg-neutral-800/60"}`}>
+              <button onClick={() => toggle(e.id)} className="block w-full" aria-pressed={picked.includes(e.id)}>
+                <img src={svgDataURL(e.svg)} alt={entryTitle(e)} className="w-full aspect-square" />
+              </button>
+              <p className="truncate" title={entryTitle(e)}>
+                {entryTitle(e) || "(empty)"}
+              </p>
+              <p className="text-xs text-neutral-500 tabular-nums">
+                {new Date(e.createdAt).toLocaleString()} · {e.state.mode}
+                {e.reason === "pin" ? " · pinned" : ""}
+              </p>
+              <button onClick={() => onOpen(e)} className="px-2 py-0.5 rounded-lg bg-neutral-700 hover:bg-neutral-600 text-xs">
+                Open
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+function GalleryCompare({ a, b, onOpen, onClose }: { a: GalleryEntry; b: GalleryEntry; onOpen: (e: GalleryEntry) => void; onClose: () => void }) {
+  const [pa] = entryParams(a);
+  const [pb] = entryParams(b);
+  const keys = Object.keys(pa) as (keyof SemagramParams)[];
+  const show = (v: SemagramParams[keyof SemagramParams]) => (typeof v === "number" ? v.toFixed(2) : typeof v === "boolean" ? (v ? "yes" : "no") : v);
+
+  return (
+    <div className="rounded-xl bg-neutral-800/60 p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold">Compare</span>
+        <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200">
+          Close
+        </button>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        {[a, b].map((e) => (
+          <div key={e.id} className="space-y-2">
+            <img src={svgDataURL(e.svg)} alt={entryTitle(e)} className="w-full max-w-sm mx-auto aspect-square" />
+            <div className="text-center">
+              <button onClick={() => onOpen(e)} className="px-2 py-0.5 rounded-lg bg-neutral-700 hover:bg-neutral-600 text-xs">
+                Open
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      {/* Proposition A of each; blends also differ in B and the blend amount */}
+      <table className="w-full text-xs tabular-nums">
+        <tbody>
+          {keys.map((k) => (
+            <tr key={k} className={pa[k] !== pb[k] ? "text-amber-200" : "text-neutral-400"}>
+              <td className="pr-2">{k}</td>
+              <td className="pr-2">{show(pa[k])}</td>
+              <td>{show(pb[k])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const ROLE_STYLES: Record<WordRole, string> = {
+  subject: "bg-sky-900/70 text-sky-100",
+  verb: "bg-amber-900/70 text-amber-100",
+  object: "bg-emerald-900/70 text-emerald-100",
+  modifier: "bg-neutral-700 text-neutral-200",
+};
+
+function GrammarPanel({
+  analysis,
+  params,
+  auto,
+  onAuto,
+  onApply,
+}: {
+  analysis: PropositionAnalysis;
+  params: SemagramParams;
+  auto: boolean;
+  onAuto: (v: boolean) => void;
+  onApply: (inferred: InferredParams) => void;
+}) {
+  const { inferred } = analysis;
+  const markers = (kind: MarkerKind) => analysis.tokens.filter((t) => t.markers.includes(kind)).map((t) => t.word);
+  const fmt = (v: number | boolean) => (typeof v === "boolean" ? (v ? "yes" : "no") : v.toFixed(2));
+  const rows = (Object.keys(inferred) as (keyof InferredParams)[]).map((key) => {
+    const evidence = {
+      negation: markers("negator"),
+      hypothetical: [...markers("conditional"), ...markers("modal").filter((w) => /^(would|might)$|'d$/.test(w))],
+      modality: markers("modal"),
+      temporality: [[...new Set(analysis.tenses)].join("/"), ...markers("time")],
+    }[key];
+    return { key, value: inferred[key]!, evidence, differs: inferred[key] !== params[key] };
+  });
+  const pending = rows.filter((r) => r.differs);
+
+  return (
+    <div className="rounded-xl bg-neutral-800/60 p-3 text-xs space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold text-neutral-200">
+          Grammar <span className="font-normal text-neutral-500">· {analysis.language}</span>
+        </span>
+        <label className="flex items-center gap-1 text-neutral-400">
+          <input type="checkbox" checked={auto} onChange={(e) => onAuto(e.target.checked)} /> Apply as I type
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {analysis.tokens.map((t, i) => (
+          <span
+            key={i}
+            title={[t.role ?? "function word", ...t.markers].join(" · ")}
+            className={`px-1.5 py-0.5 rounded ${t.role ? ROLE_STYLES[t.role] : "text-neutral-500"}`}
+          >
+            {t.word}
+          </span>
+        ))}
+      </div>
+      {analysis.language !== "en" && <p className="text-neutral-500">Roles and markers are read from English only; other languages just drop their function words.</p>}
+      <p className="text-neutral-400">
+        <span className="text-sky-300">subject</span> near the centre · <span className="text-amber-300">verb</span> ·{" "}
+        <span className="text-emerald-300">object</span> one ring out · modifier
+      </p>
+      <ul className="space-y-1">
+        {rows.map((r) => (
+          <li key={r.key} className="flex items-center justify-between gap-2">
+            <span>
+              {r.key} <span className="tabular-nums">{fmt(r.value)}</span>
+              {r.evidence.filter(Boolean).length > 0 && <span className="text-neutral-500"> · {r.evidence.filter(Boolean).join(", ")}</span>}
+            </span>
+            {r.differs && (
+              <button onClick={() => onApply({ [r.key]: r.value })} className="px-2 py-0.5 rounded-lg bg-neutral-700 hover:bg-neutral-600">
+                Use (now {fmt(params[r.key])})
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {pending.length > 1 && (
+        <button onClick={() => onApply(Object.fromEntries(pending.map((r) => [r.key, r.value])))} className="px-2 py-0.5 rounded-lg bg-neutral-700 hover:bg-neutral-600">
+          Use all inferred
+        </button>
+      )}
+    </div>
+  );
+}
+
+// --- Glyph editor ---
+const HANDLE_COLOR = "#38bdf8";
+
+const segmentAt = (glyph: Glyph, ref: PartRef | null) => (ref?.kind === "segment" ? glyph.segments[ref.ring]?.[ref.index] : undefined);
+const connectorAt = (glyph: Glyph, ref: PartRef | null) => (ref?.kind === "connector" ? glyph.connectors[ref.ring]?.[ref.index] : undefined);
+
+type HandleName = "a0" | "a1" | "r" | "p1" | "p2";
+
+const HANDLE_LABELS: Record<HandleName, string> = {
+  a0: "Arc start: arrow keys turn it",
+  a1: "Arc end: arrow keys turn it",
+  r: "Arc radius: arrow keys grow or shrink it",
+  p1: "Connector start: arrow keys move it",
+  p2: "Connector end: arrow keys move it",
+};
+
+// Screen directions; up and right both count as "more" for angles and radii
+const KEY_DIRECTIONS: Record<string, { x: number; y: number }> = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+};
+
+const partLabel = (ref: PartRef) => (ref.kind === "segment" ? `Ring ${ref.ring + 1}, segment ${ref.index + 1}` : `Connector ${ref.index + 1}, rings ${ref.ring + 1}–${ref.ring + 2}`);
+const partValue = (ref: PartRef) => `${ref.kind}:${ref.ring}:${ref.index}`;
+
+function glyphParts(glyph: Glyph): PartRef[] {
+  const segments = glyph.segments.flatMap((ring, i) => ring.map((_, j): PartRef => ({ kind: "segment", ring: i, index: j })));
+  const connectors = glyph.connectors.flatMap((ring, i) => ring.map((_, j): PartRef => ({ kind: "connector", ring: i, index: j })));
+  return [...segments, ...connectors];
+}
+
+// Canvas overlay: a wide invisible hit stroke on every ring segment and
+// connector, and drag handles on the selected one. Marked data-editor so
+// exports leave it out.
+function GlyphEditor({
+  glyph,
+  selected,
+  svgRef,
+  onSelect,
+  onEdit,
+}: {
+  glyph: Glyph;
+  selected: PartRef | null;
+  svgRef: React.RefObject<SVGSVGElement>;
+  onSelect: (ref: PartRef | null) => void;
+  onEdit: (ref: PartRef, set: SegmentEdit | ConnectorEdit) => void;
+}) {
+  const [drag, setDrag] = useState<HandleName | null>(null);
+  const [focus, setFocus] = useState<HandleName | null>(null); // filled in like a drag, as outlines skip SVG
+  const seg = segmentAt(glyph, selected);
+  const line = connectorAt(glyph, selected);
+
+  const toCanvas = (e: React.PointerEvent) => new DOMPoint(e.clientX, e.clientY).matrixTransform(svgRef.current!.getScreenCTM()!.inverse());
+
+  const onMove = (e: React.PointerEvent) => {
+    if (!drag || !selected) return;
+    const { x, y } = toCanvas(e);
+    if (seg) {
+      const { cx, cy, a0, a1 } = seg.arc;
+      if (drag === "r") return onEdit(selected, { r: Math.max(2, Math.hypot(x - cx, y - cy)) });
+      // stay on the turn nearest the current end, so spans can pass ±π
+      const a = Math.atan2(y - cy, x - cx);
+      const cur = drag === "a0" ? a0 : a1;
+      onEdit(selected, { [drag]: a + TAU * Math.round((cur - a) / TAU) });
+    } else if (line) {
+      onEdit(selected, drag === "p1" ? { x1: x, y1: y } : { x2: x, y2: y });
+    }
+  };
+
+  // Arrow keys: 1° or 1 unit a press, ten with Shift
+  const onKey = (name: HandleName, e: React.KeyboardEvent) => {
+    const dir = KEY_DIRECTIONS[e.key];
+    if (!dir || !selected) return;
+    e.preventDefault();
+    const step = e.shiftKey ? 10 : 1;
+    if (seg && name === "r") onEdit(selected, { r: Math.max(2, seg.arc.r + step * (dir.x - dir.y)) });
+    else if (seg && (name === "a0" || name === "a1")) onEdit(selected, { [name]: seg.arc[name] + (step * (dir.x - dir.y) * Math.PI) / 180 });
+    else if (line && name === "p1") onEdit(selected, { x1: line.x1 + step * dir.x, y1: line.y1 + step * dir.y });
+    else if (line && name === "p2") onEdit(selected, { x2: line.x2 + step * dir.x, y2: line.y2 + step * dir.y });
+  };
+
+  const handle = (name: HandleName, at: { x: number; y: number }) => (
+    <circle
+      key={name}
+      cx={at.x}
+      cy={at.y}
+      r={6}
+      fill={drag === name || focus === name ? HANDLE_COLOR : "#0a0a0a"}
+      stroke={HANDLE_COLOR}
+      strokeWidth={2}
+      style={{ cursor: "grab", outline: "none" }}
+      tabIndex={0}
+      role="button"
+      aria-label={HANDLE_LABELS[name]}
+      onFocus={() => setFocus(name)}
+      onBlur={() => setFocus(null)}
+      onKeyDown={(e) => onKey(name, e)}
+      onPointerDown={(e) => {
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDrag(name);
+      }}
+      onPointerMove={onMove}
+      onPointerUp={() => setDrag(null)}
+    />
+  );
+
+  const hit = { stroke: "transparent", fill: "none", pointerEvents: "stroke", style: { cursor: "pointer" } } as const;
+
+  return (
+    <g data-editor="">
+      <rect x={-1000} y={-1000} width={2000} height={2000} fill="transparent" onPointerDown={() => onSelect(null)} />
+
+      {glyph.connectors.map((ring, i) =>
+        ring.map((c, j) => (
+          <line
+            key={`hc-${i}-${j}`}
+            x1={c.x1}
+            y1={c.y1}
+            x2={c.x2}
+            y2={c.y2}
+            strokeWidth={Math.max(c.w, 10)}
+            {...hit}
+            onPointerDown={() => onSelect({ kind: "connector", ring: i, index: j })}
+          />
+        ))
+      )}
+      {glyph.segments.map((ring, i) =>
+        ring.map((s, j) => (
+          <path key={`hs-${i}-${j}`} d={s.d} strokeWidth={Math.max(s.w, 10)} {...hit} onPointerDown={() => onSelect({ kind: "segment", ring: i, index: j })} />
+        ))
+      )}
+
+      {seg && (
+        <g>
+          <path d={seg.d} fill="none" stroke={HANDLE_COLOR} strokeWidth={1.5} strokeDasharray="4 3" pointerEvents="none" />
+          {handle("a0", polar(seg.arc.cx, seg.arc.cy, seg.arc.r, seg.arc.a0))}
+          {handle("a1", polar(seg.arc.cx, seg.arc.cy, seg.arc.r, seg.arc.a1))}
+          {handle("r", polar(seg.arc.cx, seg.arc.cy, seg.arc.r, (seg.arc.a0 + seg.arc.a1) / 2))}
+        </g>
+      )}
+      {line && (
+        <g>
+          <line x1={line.x1} y1={line.y1} x2={line.x2} y2={line.y2} stroke={HANDLE_COLOR} strokeWidth={1.5} strokeDasharray="4 3" pointerEvents="none" />
+          {handle("p1", { x: line.x1, y: line.y1 })}
+          {handle("p2", { x: line.x2, y: line.y2 })}
+        </g>
+      )}
+    </g>
+  );
+}
+
+function RangeField({
+  label,
+  value,
+  min,
+  max,
+  step,
+  onChange,
+}: {
+  label: string;
+  value: number;
+  min: number;
+  max: number;
+  step: number;
+  onChange: (v: number) => void;
+}) {
+  const id = useId();
+  return (
+    <div>
+      <label htmlFor={id} className="block mb-1">
+        {label}: <span className="tabular-nums">{value.toFixed(1)}</span>
+      </label>
+      <input id={id} type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full" />
+    </div>
+  );
+}
+
+// A colour picker for #rrggbb (and #rgb), which is all type="color" takes;
+// other colours a theme may hold (names, rgb(), alpha) get a text field
+// rather than being forced to black. Text is sent once it is not blank.
+function ColorField({
+  value,
+  onChange,
+  disabled,
+  label,
+  narrow,
+}: {
+  value: string;
+  onChange: (color: string) => void;
+  disabled?: boolean;
+  label?: string;
+  narrow?: boolean;
+}) {
+  const hex = hexColor(value);
+  const [text, setText] = useState<string | null>(null); // while typing
+  if (hex && text === null) {
+    return <input type="color" value={hex} disabled={disabled} onChange={(e) => onChange(e.target.value)} className={`h-7 ${narrow ? "w-8" : "w-10"} bg-transparent`} aria-label={label} />;
+  }
+  return (
+    <input
+      value={text ?? value}
+      disabled={disabled}
+      onFocus={() => setText(value)}
+      onBlur={() => setText(null)}
+      onChange={(e) => {
+        setText(e.target.value);
+        if (e.target.value.trim()) onChange(e.target.value.trim());
+      }}
+      className={`h-7 ${narrow ? "w-24" : "w-28"} rounded-lg bg-neutral-800 px-1.5`}
+      aria-label={label}
+      spellCheck={false}
+    />
+  );
+}
+
+// The dash text as typed, following the edit's value (see dashFromInput)
+function DashField({ value, onChange }: { value: string | undefined; onChange: (dash: string | null) => void }) {
+  const [text, setText] = useState(value ?? "");
+  useEffect(() => {
+    setText((t) => dashInputText(t, value));
+  }, [value]);
+  return (
+    <div>
+      <label htmlFor="edit-dash" className="block mb-1">Dash</label>
+      <input
+        id="edit-dash"
+        value={text}
+        placeholder="solid"
+        onChange={(e) => {
+          const dash = dashFromInput(e.target.value);
+          if (dash === undefined) return;
+          setText(e.target.value);
+          onChange(dash);
+        }}
+        className="w-full rounded-lg bg-neutral-800 p-1.5"
+      />
+    </div>
+  );
+}
+
+function EditorPanel({
+  open,
+  onOpen,
+  glyph,
+  selected,
+  saved,
+  dirty,
+  onSelect,
+  onEdit,
+  onRevertPart,
+  onSave,
+  onDiscard,
+  onClear,
+}: {
+  open: boolean;
+  onOpen: (open: boolean) => void;
+  glyph: Glyph;
+  selected: PartRef | null;
+  saved: number; // edits stored for this glyph
+  dirty: boolean;
+  onSelect: (ref: PartRef | null) => void;
+  onEdit: (ref: PartRef, set: SegmentEdit | ConnectorEdit) => void;
+  onRevertPart: (ref: PartRef) => void;
+  onSave: () => void;
+  onDiscard: () => void;
+  onClear: () => void;
+}) {
+  const seg: Segment | undefined = segmentAt(glyph, selected);
+  const line = connectorAt(glyph, selected);
+  const degrees = (a: number) => (a * 180) / Math.PI;
+  const button = "px-3 py-1 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-40";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={open} onChange={(e) => onOpen(e.target.checked)} />
+          <span>Edit glyph by hand</span>
+        </label>
+        <span className="text-xs text-neutral-500">{saved ? `${saved} saved edit${saved === 1 ? "" : "s"}` : "no saved edits"}</span>
+      </div>
+
+      {open && (
+        <div className="rounded-xl bg-neutral-800/60 p-3 text-xs space-y-3">
+          <label className="flex items-center justify-between gap-2">
+            Part
+            <select
+              value={selected ? partValue(selected) : ""}
+              onChange={(e) => onSelect(glyphParts(glyph).find((ref) => partValue(ref) === e.target.value) ?? null)}
+              className="bg-neutral-800 rounded-lg px-2 py-1"
+            >
+              <option value="">None</option>
+              {glyphParts(glyph).map((ref) => (
+                <option key={partValue(ref)} value={partValue(ref)}>
+                  {partLabel(ref)}
+                </option>
+              ))}
+            </select>
+          </label>
+          {selected && seg ? (
+            <>
+              <p className="font-semibold text-neutral-200">
+                Ring {selected.ring + 1} · {seg.kind === "hook" ? "hook" : "arc"} {selected.index + 1}
+              </p>
+              <RangeField label="Width" value={seg.w} min={0.2} max={10} step={0.1} onChange={(w) => onEdit(selected, { w })} />
+              <RangeField
+                label="Span (°)"
+                value={degrees(seg.arc.a1 - seg.arc.a0)}
+                min={-360}
+                max={360}
+                step={1}
+                onChange={(span) => onEdit(selected, { a1: seg.arc.a0 + (span * Math.PI) / 180 })}
+              />
+              <RangeField label="Radius" value={seg.arc.r} min={2} max={400} step={0.5} onChange={(r) => onEdit(selected, { r })} />
+              <DashField value={seg.dash} onChange={(dash) => onEdit(selected, { dash })} />
+            </>
+          ) : selected && line ? (
+            <>
+              <p className="font-semibold text-neutral-200">
+                Connector {selected.index + 1}, rings {selected.ring + 1}–{selected.ring + 2}
+              </p>
+              <RangeField label="Width" value={line.w} min={0.2} max={10} step={0.1} onChange={(w) => onEdit(selected, { w })} />
+            </>
+          ) : (
+            <p className="text-neutral-400">
+              Click a ring segment or connector on the canvas (or pick one above), then drag its handles: an arc's ends set its span, its middle the radius. Focused handles also move with the arrow keys.
+            </p>
+          )}
+
+          <p className="text-neutral-500">Saved edits belong to this seed and proposition, and come back on every render and export.</p>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={onSave} disabled={!dirty} className={button}>
+              Save
+            </button>
+            <button onClick={onDiscard} disabled={!dirty} className={button}>
+              Discard
+            </button>
+            {selected && (
+              <button onClick={() => onRevertPart(selected)} className={button}>
+                Revert part
+              </button>
+            )}
+            <button onClick={onClear} disabled={!saved} className={button}>
+              Clear saved
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function Legend() {
   return (
     <div className="mt-4 rounded-xl bg-neutral-800/60 p-3 text-xs leading-relaxed space-y-2">
       <div className="font-semibold text-neutral-200">Legend (design mapping)</div>
       <ul className="list-disc ml-4 space-y-1 text-neutral-300">
+        <li><span className="font-medium">Words</span>: each content word draws its own fixed mark (arcs, hooks, spurs) on the inner rings, the same in every phrase. A word's first mark is stored in the lexicon and reused from then on. Objects sit one ring further out than subjects and verbs.</li>
         <li><span className="font-medium">Certainty</span>: thicker strokes, higher opacity.</li>
         <li><span className="font-medium">Modality</span>: arc sweep bias (obligation vs. possibility) shifts segment angles.</li>
         <li><span className="font-medium">Temporality</span>: more rings & irregular spans (non-linearity).</li>
@@ -511,8 +1939,9 @@ function Legend() {
         <li><span className="font-medium">Perspective</span>: subtle global rotation per ring (1st none, 2nd +, 3rd −).</li>
         <li><span className="font-medium">Negation</span>: dashed segments with longer gaps; <span className="font-medium">Hypothetical</span>: finer dash arrays.</li>
         <li><span className="font-medium">Emphasis</span>: overall scale and stroke presence.</li>
-        <li><span className="font-medium">Composite</span>: each clause is layered with a slight rotation & scale change.</li>
-        <li><span className="font-medium">Blend</span>: A and B overlay with opposing rotations; slider adjusts dominance.</li>
+        <li><span className="font-medium">Writing</span>: playback draws ring by ring from the centre, each arc along its own direction, joints after each ring.</li>
+        <li><span className="font-medium">Composite</span>: each clause is its own glyph; subordinates orbit their parent at a smaller scale, joined by a thin bridge, and several main clauses orbit a bare hub ring.</li>
+        <li><span className="font-medium">Blend</span>: rings, arcs and joints of A are matched to B's and interpolated; slider sets how far A has morphed into B. A and B each have their own settings.</li>
       </ul>
     </div>
   );
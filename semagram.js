@@ -0,0 +1,788 @@
+import { analyzeProposition, type WordRole } from "./grammar";
+import { normalizeWord, type GraphemeStore } from "./graphemeStore";
+
+// --- Utility: seeded RNG (mulberry32) and simple hash for strings ---
+export function mulberry32(a: number) {
+  return function () {
+    let t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// NFC first, so canonically equivalent spellings hash alike
+export function hashStringToInt(str: string) {
+  const s = str.normalize("NFC");
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0) || 1;
+}
+
+// --- Semagram parameters ---
+export interface SemagramParams {
+  proposition: string;
+  certainty: number; // 0..1 thickness & solidity
+  modality: number; // 0..1 obligation/possibility curve bias
+  temporality: number; // 0..1: 0 linear, 1 non-linear (more recursion)
+  agency: number; // 0..1: 0 external, 1 internal
+  perspective: "1st" | "2nd" | "3rd";
+  negation: boolean;
+  hypothetical: boolean;
+  emphasis: number; // 0..1 overall scale
+  seed: string;
+}
+
+export const defaultParams: SemagramParams = {
+  proposition: "She was always there even before I knew her",
+  certainty: 0.68,
+  modality: 0.4,
+  temporality: 0.82,
+  agency: 0.55,
+  perspective: "1st",
+  negation: false,
+  hypothetical: false,
+  emphasis: 0.9,
+  seed: "arrival",
+};
+
+const PERSPECTIVES: SemagramParams["perspective"][] = ["1st", "2nd", "3rd"];
+
+// Fill untrusted, possibly partial params (API bodies, files) from a base;
+// unknown keys are dropped, sliders are clamped, wrong types throw
+export function parseSemagramParams(input: unknown, base: SemagramParams = defaultParams): SemagramParams {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error("params must be an object");
+  const src = input as Record<string, unknown>;
+  const out: Record<string, unknown> = { ...base };
+
+  for (const key of Object.keys(base) as (keyof SemagramParams)[]) {
+    const v = src[key];
+    if (v === undefined) continue;
+    const expected = typeof base[key];
+    if (typeof v !== expected) throw new Error(`${key} must be a ${expected}`);
+    if (typeof v === "number") {
+      if (!Number.isFinite(v)) throw new Error(`${key} must be a finite number`);
+      out[key] = clamp(v, 0, 1);
+    } else {
+      out[key] = v;
+    }
+  }
+
+  if (!PERSPECTIVES.includes(out.perspective as SemagramParams["perspective"])) throw new Error("perspective must be 1st, 2nd or 3rd");
+  return out as unknown as SemagramParams;
+}
+
+// --- Geometry helpers ---
+export const TAU = Math.PI * 2;
+
+export function lerp(a: number, b: number, t: number) {
+  return a + (b - a) * t;
+}
+
+export function polar(cx: number, cy: number, r: number, ang: number) {
+  return { x: cx + r * Math.cos(ang), y: cy + r * Math.sin(ang) };
+}
+
+export function arcPath(cx: number, cy: number, r: number, a0: number, a1: number) {
+  const start = polar(cx, cy, r, a0);
+  const end = polar(cx, cy, r, a1);
+  const large = Math.abs(a1 - a0) > Math.PI ? 1 : 0;
+  const sweep = a1 > a0 ? 1 : 0;
+  return `M ${start.x.toFixed(3)} ${start.y.toFixed(3)} A ${r.toFixed(3)} ${r.toFixed(3)} 0 ${large} ${sweep} ${end.x.toFixed(3)} ${end.y.toFixed(3)}`;
+}
+
+// Inverse of arcPath: an SVG "M x y A r r 0 large sweep x y" back to centre
+// form. Endpoints are rounded in `d`, so the centre is only close to exact.
+export function arcFromPath(d: string): { cx: number; cy: number; r: number; a0: number; a1: number } | null {
+  const m = d.match(/M\s*(-?[\d.]+)[\s,]+(-?[\d.]+)\s*A\s*([\d.]+)[\s,]+[\d.]+[\s,]+-?[\d.]+[\s,]+([01])[\s,]*([01])[\s,]*(-?[\d.]+)[\s,]+(-?[\d.]+)/);
+  if (!m) return null;
+  const [x1, y1, rr, large, sweep, x2, y2] = [m[1], m[2], m[3], m[4], m[5], m[6], m[7]].map(Number);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const d2 = dx * dx + dy * dy;
+  if (d2 === 0) return null;
+  const r = Math.max(rr, Math.sqrt(d2));
+  const coef = Math.sqrt(Math.max(0, (r * r - d2) / d2)) * (large === sweep ? -1 : 1);
+  const cx = coef * dy + (x1 + x2) / 2;
+  const cy = -coef * dx + (y1 + y2) / 2;
+  const a0 = Math.atan2(y1 - cy, x1 - cx);
+  let span = ((((Math.atan2(y2 - cy, x2 - cx) - a0) % TAU) + TAU) % TAU);
+  if (!sweep) span -= TAU;
+  return { cx, cy, r, a0, a1: a0 + span };
+}
+
+export function clamp(n: number, lo: number, hi: number) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+// Choose a prime-ish spoke count based on content words
+export function chooseSpokes(wordCount: number) {
+  const candidates = [7, 9, 11, 13, 17, 19];
+  const idx = clamp(Math.floor((wordCount - 3) / 3), 0, candidates.length - 1);
+  return candidates[idx];
+}
+
+// Words that draw a grapheme: everything but articles, coordinators and copulas
+export function splitContentWords(text: string) {
+  return analyzeProposition(text).words.map((w) => w.word);
+}
+
+// --- Word graphemes ---
+// Every content word owns a small sub-glyph seeded from the word alone, so the
+// same word draws the same mark whatever phrase it appears in. Angles are in
+// radians relative to the word's anchor; rings are offsets into the inner band.
+export const GRAPHEME_RINGS = 3;
+// Bump whenever generateWordGrapheme would draw an existing word differently
+export const GRAPHEME_VERSION = 1;
+
+export interface WordGrapheme {
+  word: string;
+  width: number; // angular footprint of the mark
+  arcs: Array<{ ring: number; a0: number; span: number; w: number }>;
+  hooks: Array<{ ring: number; a: number; r: number; turn: number; side: 1 | -1; w: number }>; // r in ring gaps
+  spurs: Array<{ ring: number; a: number; len: number; w: number }>; // len in ring gaps, negative points inward
+}
+
+// Graphemes come back from storage and imported lexicons: anything drawn from
+// them must have this shape, rings included, or generateSegments throws
+export function isWordGrapheme(x: unknown): x is WordGrapheme {
+  const g = x as WordGrapheme | null;
+  const num = (n: unknown) => typeof n === "number" && Number.isFinite(n);
+  const ring = (n: unknown) => Number.isInteger(n) && (n as number) >= 0 && (n as number) < GRAPHEME_RINGS;
+  function every<T>(list: unknown, ok: (m: T) => boolean) {
+    return Array.isArray(list) && list.every((m) => !!m && typeof m === "object" && ok(m as T));
+  }
+  return (
+    !!g &&
+    typeof g === "object" &&
+    typeof g.word === "string" &&
+    num(g.width) &&
+    every<WordGrapheme["arcs"][number]>(g.arcs, (m) => ring(m.ring) && num(m.a0) && num(m.span) && num(m.w)) &&
+    every<WordGrapheme["hooks"][number]>(g.hooks, (m) => ring(m.ring) && num(m.a) && num(m.r) && num(m.turn) && (m.side === 1 || m.side === -1) && num(m.w)) &&
+    every<WordGrapheme["spurs"][number]>(g.spurs, (m) => ring(m.ring) && num(m.a) && num(m.len) && num(m.w))
+  );
+}
+
+export function generateWordGrapheme(word: string): WordGrapheme {
+  const rnd = mulberry32(hashStringToInt("grapheme|" + word));
+  const width = lerp(0.45, 0.9, rnd());
+
+  // Arc cluster on the rings above the carrier ring
+  const arcs: WordGrapheme["arcs"] = [];
+  const arcCount = 1 + Math.floor(rnd() * 3);
+  for (let k = 0; k < arcCount; k++) {
+    const span = width * lerp(0.3, 1, rnd());
+    arcs.push({ ring: 1 + Math.floor(rnd() * (GRAPHEME_RINGS - 1)), a0: (width - span) * rnd(), span, w: lerp(0.8, 1.3, rnd()) });
+  }
+
+  // Hooks curl off a ring, outward or inward
+  const hooks: WordGrapheme["hooks"] = [];
+  const hookCount = Math.floor(rnd() * 3);
+  for (let k = 0; k < hookCount; k++) {
+    hooks.push({
+      ring: Math.floor(rnd() * GRAPHEME_RINGS),
+      a: width * rnd(),
+      r: lerp(0.18, 0.42, rnd()),
+      turn: lerp(1.2, 2.8, rnd()) * (rnd() > 0.5 ? 1 : -1),
+      side: rnd() > 0.5 ? 1 : -1,
+      w: lerp(0.7, 1.1, rnd()),
+    });
+  }
+
+  // Spurs are short radial ticks
+  const spurs: WordGrapheme["spurs"] = [];
+  const spurCount = Math.floor(rnd() * 3);
+  for (let k = 0; k < spurCount; k++) {
+    spurs.push({ ring: Math.floor(rnd() * GRAPHEME_RINGS), a: width * rnd(), len: lerp(0.3, 0.8, rnd()) * (rnd() > 0.5 ? 1 : -1), w: lerp(0.6, 1, rnd()) });
+  }
+
+  return { word, width, arcs, hooks, spurs };
+}
+
+// A stored grapheme wins over a fresh one, so a word keeps its first mark
+export function resolveGrapheme(word: string, lexicon?: GraphemeStore<WordGrapheme>) {
+  return lexicon?.get(word)?.grapheme ?? generateWordGrapheme(normalizeWord(word));
+}
+
+// Freeze the current rendering of any words the lexicon hasn't seen yet
+export function freezeGraphemes(words: string[], lexicon: GraphemeStore<WordGrapheme>) {
+  const createdAt = new Date().toISOString();
+  for (const word of words) {
+    if (lexicon.get(word)) continue;
+    lexicon.put({ word, version: GRAPHEME_VERSION, createdAt, grapheme: generateWordGrapheme(normalizeWord(word)) });
+  }
+}
+
+// --- Glyph parts ---
+// Segments keep their arc geometry next to the path so later stages (blend,
+// export) can work on numbers rather than re-parsing `d`.
+export interface Segment {
+  d: string;
+  w: number;
+  dash?: string;
+  opacity: number;
+  kind: "arc" | "hook"; // ring arc about the centre, or a curl about its own centre
+  arc: { cx: number; cy: number; r: number; a0: number; a1: number };
+}
+
+export interface Line {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  w: number;
+  opacity: number;
+}
+
+export function arcSegment(kind: Segment["kind"], arc: Segment["arc"], w: number, opacity: number, dash?: string): Segment {
+  return { d: arcPath(arc.cx, arc.cy, arc.r, arc.a0, arc.a1), w, dash, opacity, kind, arc };
+}
+
+// Share of a word's sector taken by its carrier arc, and by its mark
+export const CARRIER_SPAN = 0.92;
+export const MARK_SPAN = 0.85;
+
+// Where a word's mark lands once its sector of the ring is known. `w` values
+// are multipliers on the ring's stroke width.
+export function placeGrapheme(g: WordGrapheme, anchor: number, sector: number, radiusBase: number, ringGap: number) {
+  // squeeze marks that would not fit their sector, never stretch them
+  const fit = Math.min(1, (sector * MARK_SPAN) / g.width);
+  const ringR = (ring: number) => radiusBase + ring * ringGap;
+
+  const arcs = g.arcs.map((arc) => {
+    const a0 = anchor + arc.a0 * fit;
+    return { ring: arc.ring, w: arc.w, arc: { cx: 0, cy: 0, r: ringR(arc.ring), a0, a1: a0 + arc.span * fit } };
+  });
+
+  const hooks = g.hooks.map((hook) => {
+    const a = anchor + hook.a * fit;
+    const hr = hook.r * ringGap;
+    const c = polar(0, 0, ringR(hook.ring) + hook.side * hr, a);
+    // start where the curl touches the ring
+    const h0 = hook.side > 0 ? a + Math.PI : a;
+    return { ring: hook.ring, w: hook.w, arc: { cx: c.x, cy: c.y, r: hr, a0: h0, a1: h0 + hook.turn } };
+  });
+
+  const spurs = g.spurs.map((spur) => {
+    const a = anchor + spur.a * fit;
+    const p0 = polar(0, 0, ringR(spur.ring), a);
+    const p1 = polar(0, 0, ringR(spur.ring) + spur.len * ringGap, a);
+    return { ring: spur.ring, w: spur.w, line: { x1: p0.x, y1: p0.y, x2: p1.x, y2: p1.y } };
+  });
+
+  return { fit, arcs, hooks, spurs };
+}
+
+// Rings a word's carrier sits out from the innermost one, by grammatical role:
+// agents and verbs hug the centre, objects ride one ring further out
+const ROLE_DEPTH: Record<WordRole, number> = { subject: 0, verb: 0, modifier: 0, object: 1 };
+
+// dashed pattern toggles: negation & hypothetical
+export function dashPattern(p: Pick<SemagramParams, "negation" | "hypothetical" | "certainty">) {
+  if (p.negation && p.hypothetical) return `${lerp(2, 6, p.certainty).toFixed(1)} ${lerp(1, 3, 1 - p.certainty).toFixed(1)}`;
+  if (p.negation) return `${lerp(4, 9, 1 - p.certainty).toFixed(1)} ${lerp(2, 4, p.certainty).toFixed(1)}`;
+  if (p.hypothetical) return `${lerp(1.5, 4, 1 - p.certainty).toFixed(1)} ${lerp(1, 3, p.certainty).toFixed(1)}`;
+  return undefined;
+}
+
+// --- Core generator ---
+// Bump whenever the same params would draw a different glyph or document
+// (a GRAPHEME_VERSION bump included). golden.test.js holds the generator to
+// its checked-in renders until this changes.
+//   2: composite clause scales keep three significant digits, so deeply
+//      nested clauses no longer collapse to scale(0)
+//   3: French "ce", "cet", "cette" and "ces" are stop words
+export const GENERATOR_VERSION = 3;
+
+export function generateSegments(p: SemagramParams, lexicon?: GraphemeStore<WordGrapheme>) {
+  const baseSeed = hashStringToInt(p.seed + "|" + p.proposition);
+  const rnd = mulberry32(baseSeed);
+
+  const words = analyzeProposition(p.proposition).words;
+  const cx = 0;
+  const cy = 0;
+
+  // depths are relative, so a phrase of nothing but objects still starts at ring 0
+  const minDepth = Math.min(...words.map((w) => ROLE_DEPTH[w.role]));
+  const depths = words.map((w) => ROLE_DEPTH[w.role] - minDepth);
+  const band = GRAPHEME_RINGS + Math.max(0, ...depths);
+
+  const rings = Math.max(clamp(3 + Math.floor(p.temporality * 3 + rnd() * 2), 3, 7), band);
+  const spokes = chooseSpokes(words.length || 1);
+  const radiusBase = 100;
+  const ringGap = 28 + rnd() * 6;
+
+  // ring sweep bias encodes modality (obligation vs possibility)
+  const bias = lerp(-0.6, 0.6, p.modality);
+  // perspective subtly rotates the ring
+  const perspRot = p.perspective === "1st" ? 0.0 : p.perspective === "2nd" ? 0.12 : -0.12;
+
+  // stroke width encodes certainty & emphasis, slight inward taper with i
+  const strokeWidth = (i: number) => clamp(lerp(1.2, 5.5, p.certainty) * lerp(0.8, 1.15, p.emphasis) * (1 - i * 0.03), 0.8, 7);
+
+  const dash = dashPattern(p);
+
+  // internal agency = more opaque
+  const opacity = () => clamp(0.7 + (rnd() - 0.5) * 0.1 + (p.agency - 0.5) * 0.1, 0.45, 1);
+
+  const segments: Segment[][] = [];
+  for (let i = 0; i < rings; i++) segments.push([]);
+  const spurs: Line[] = [];
+
+  // Word graphemes fill the inner band, one sector per word in reading order
+  const graphemes = words.map((w) => resolveGrapheme(w.word, lexicon));
+  const sector = TAU / Math.max(graphemes.length, 1);
+  const start = rnd() * TAU + bias * 0.2 + perspRot;
+  const placed: Array<{ word: string; anchor: number; fit: number; ring: number }> = [];
+
+  graphemes.forEach((g, k) => {
+    const anchor = start + k * sector;
+    const depth = depths[k];
+    const mark = placeGrapheme(g, anchor, sector, radiusBase + depth * ringGap, ringGap);
+    placed.push({ word: g.word, anchor, fit: mark.fit, ring: depth });
+
+    // carrier arc on the word's own ring; the gaps between carriers separate words
+    segments[depth].push(arcSegment("arc", { cx, cy, r: radiusBase + depth * ringGap, a0: anchor, a1: anchor + sector * CARRIER_SPAN }, strokeWidth(depth), opacity(), dash));
+    for (const m of mark.arcs) segments[m.ring + depth].push(arcSegment("arc", m.arc, strokeWidth(m.ring + depth) * m.w, opacity(), dash));
+    for (const m of mark.hooks) segments[m.ring + depth].push(arcSegment("hook", m.arc, strokeWidth(m.ring + depth) * m.w, opacity(), dash));
+    for (const m of mark.spurs) spurs.push({ ...m.line, w: strokeWidth(m.ring + depth) * m.w, opacity: opacity() });
+  });
+
+  // Outer rings (or every ring, for a phrase with no content words) keep the
+  // phrase-seeded spoke arcs that carry temporality's recursion
+  for (let i = graphemes.length ? band : 0; i < rings; i++) {
+    const r = radiusBase + i * ringGap;
+    const ringBias = bias + (rnd() - 0.5) * 0.2;
+
+    for (let s = 0; s < spokes; s++) {
+      // start & end angles per segment
+      const a0 = (TAU * s) / spokes + ringBias * 0.2;
+      const jitter = (rnd() - 0.5) * (0.25 + p.temporality * 0.35);
+      const span = lerp(0.7, 1.55, p.temporality) + jitter;
+      const direction = rnd() > 0.5 ? 1 : -1;
+      const a1 = a0 + span * direction;
+
+      segments[i].push(arcSegment("arc", { cx, cy, r, a0: a0 + perspRot, a1: a1 + perspRot }, strokeWidth(i), opacity(), dash));
+    }
+  }
+
+  // Anchor spokes (radial joints) tie rings together; inside the grapheme
+  // band they sit at the tail of each carrier, past the word's mark
+  const connectors: Line[][] = [];
+  for (let i = 0; i < rings - 1; i++) {
+    const r0 = radiusBase + i * ringGap;
+    const r1 = radiusBase + (i + 1) * ringGap;
+    const inBand = graphemes.length > 0 && i < band - 1;
+    const count = inBand ? graphemes.length : spokes;
+    const conns: Line[] = [];
+    for (let s = 0; s < count; s++) {
+      const base = inBand ? start + s * sector + sector * 0.885 : (TAU * s) / spokes;
+      const a = base + (rnd() - 0.5) * 0.03;
+      const p0 = polar(0, 0, r0, a);
+      const p1 = polar(0, 0, r1, a);
+      conns.push({ x1: p0.x, y1: p0.y, x2: p1.x, y2: p1.y, w: lerp(0.6, 2.2, p.certainty), opacity: 0.25 + p.temporality * 0.25 });
+    }
+    connectors.push(conns);
+  }
+
+  return { segments, connectors, spurs, graphemes: placed, rings, spokes, radiusBase, ringGap };
+}
+
+export type Glyph = ReturnType<typeof generateSegments>;
+
+// --- Morphological blend ---
+// Blending interpolates geometry rather than overlaying two glyphs: rings and
+// the parts on them are resampled to a common count, matched by angle, and
+// every radius, angle, width and dash is interpolated by t (0 = A, 1 = B).
+
+function wrapPi(a: number) {
+  return ((((a + Math.PI) % TAU) + TAU) % TAU) - Math.PI;
+}
+
+function lerpAngle(a: number, b: number, t: number) {
+  return a + wrapPi(b - a) * t;
+}
+
+// Index of the source item feeding slot k of n (first and last always line up)
+function pickIndex(count: number, k: number, n: number) {
+  return n <= 1 ? 0 : Math.round((k * (count - 1)) / (n - 1));
+}
+
+function resample<T>(list: T[], n: number) {
+  return Array.from({ length: n }, (_, j) => list[Math.min(list.length - 1, Math.floor((j * list.length) / n))]);
+}
+
+// Rotate b so its items sit as close as possible to a's, slot by slot
+function alignCyclic<T>(a: T[], b: T[], angle: (x: T) => number) {
+  let best = 0;
+  let bestCost = Infinity;
+  for (let k = 0; k < b.length; k++) {
+    let cost = 0;
+    for (let j = 0; j < a.length; j++) cost += Math.abs(wrapPi(angle(b[(j + k) % b.length]) - angle(a[j])));
+    if (cost < bestCost) {
+      bestCost = cost;
+      best = k;
+    }
+  }
+  return b.map((_, j) => b[(j + best) % b.length]);
+}
+
+function blendParts<T>(a: T[], b: T[], t: number, angle: (x: T) => number, collapse: (x: T) => T, mix: (x: T, y: T) => T) {
+  if (!a.length && !b.length) return [];
+  // a part with no counterpart grows out of (or shrinks into) a collapsed copy of itself
+  const from = a.length ? a : b.map(collapse);
+  const to = b.length ? b : a.map(collapse);
+  const n = a.length && b.length ? Math.max(1, Math.round(lerp(a.length, b.length, t))) : from.length;
+  const byAngle = (x: T, y: T) => (angle(x) + TAU) % TAU - (angle(y) + TAU) % TAU;
+  const fa = resample([...from].sort(byAngle), n);
+  const fb = alignCyclic(fa, resample([...to].sort(byAngle), n), angle);
+  return fa.map((x, j) => mix(x, fb[j]));
+}
+
+// Arcs always sweep forwards so a flipped direction never morphs through zero
+function forwardArc(arc: Segment["arc"]) {
+  return arc.a1 >= arc.a0 ? arc : { ...arc, a0: arc.a1, a1: arc.a0 };
+}
+
+function segmentAngle(seg: Segment) {
+  const mid = polar(seg.arc.cx, seg.arc.cy, seg.arc.r, (seg.arc.a0 + seg.arc.a1) / 2);
+  return Math.atan2(mid.y, mid.x);
+}
+
+function blendDash(a: string | undefined, b: string | undefined, t: number) {
+  if (!a && !b) return undefined;
+  const da = a ? a.split(/[\s,]+/).map(Number) : undefined;
+  const db = b ? b.split(/[\s,]+/).map(Number) : undefined;
+  // solid is a dash with no gap
+  const [dashA, gapA] = da ?? [db![0], 0];
+  const [dashB, gapB] = db ?? [da![0], 0];
+  const gap = lerp(gapA, gapB, t);
+  return gap < 0.1 ? undefined : `${lerp(dashA, dashB, t).toFixed(1)} ${gap.toFixed(1)}`;
+}
+
+function blendSegments(a: Segment[], b: Segment[], t: number) {
+  const collapse = (s: Segment): Segment => {
+    const arc = forwardArc(s.arc);
+    const mid = (arc.a0 + arc.a1) / 2;
+    return { ...s, w: 0, opacity: 0, arc: { ...arc, a0: mid, a1: mid } };
+  };
+  const mix = (x: Segment, y: Segment) => {
+    const ax = forwardArc(x.arc);
+    const ay = forwardArc(y.arc);
+    const a0 = lerpAngle(ax.a0, ay.a0, t);
+    const arc = { cx: lerp(ax.cx, ay.cx, t), cy: lerp(ax.cy, ay.cy, t), r: lerp(ax.r, ay.r, t), a0, a1: a0 + lerp(ax.a1 - ax.a0, ay.a1 - ay.a0, t) };
+    return arcSegment(x.kind, arc, lerp(x.w, y.w, t), lerp(x.opacity, y.opacity, t), blendDash(x.dash, y.dash, t));
+  };
+  // ring arcs and hooks only ever morph into their own kind
+  const ofKind = (list: Segment[], kind: Segment["kind"]) => list.filter((s) => s.kind === kind);
+  return [
+    ...blendParts(ofKind(a, "arc"), ofKind(b, "arc"), t, segmentAngle, collapse, mix),
+    ...blendParts(ofKind(a, "hook"), ofKind(b, "hook"), t, segmentAngle, collapse, mix),
+  ];
+}
+
+// Lines interpolate in polar form so radial strokes stay radial mid-blend
+function blendLines(a: Line[], b: Line[], t: number) {
+  const angle = (l: Line) => Math.atan2(l.y1 + l.y2, l.x1 + l.x2);
+  const collapse = (l: Line): Line => ({ ...l, x2: l.x1, y2: l.y1, w: 0, opacity: 0 });
+  const mix = (x: Line, y: Line): Line => {
+    const end = (px: number, py: number, qx: number, qy: number) =>
+      polar(0, 0, lerp(Math.hypot(px, py), Math.hypot(qx, qy), t), lerpAngle(Math.atan2(py, px), Math.atan2(qy, qx), t));
+    const p1 = end(x.x1, x.y1, y.x1, y.y1);
+    const p2 = end(x.x2, x.y2, y.x2, y.y2);
+    return { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y, w: lerp(x.w, y.w, t), opacity: lerp(x.opacity, y.opacity, t) };
+  };
+  return blendParts(a, b, t, angle, collapse, mix);
+}
+
+export function blendGlyphs(a: Glyph, b: Glyph, t: number): Glyph {
+  const rings = Math.max(1, Math.round(lerp(a.rings, b.rings, t)));
+  const segments: Segment[][] = [];
+  for (let k = 0; k < rings; k++) {
+    segments.push(blendSegments(a.segments[pickIndex(a.rings, k, rings)], b.segments[pickIndex(b.rings, k, rings)], t));
+  }
+
+  const connectors: Line[][] = [];
+  for (let k = 0; k < rings - 1; k++) {
+    const ca = a.connectors[pickIndex(a.connectors.length, k, rings - 1)] ?? [];
+    const cb = b.connectors[pickIndex(b.connectors.length, k, rings - 1)] ?? [];
+    connectors.push(blendLines(ca, cb, t));
+  }
+
+  return {
+    segments,
+    connectors,
+    spurs: blendLines(a.spurs, b.spurs, t),
+    graphemes: t < 0.5 ? a.graphemes : b.graphemes,
+    rings,
+    spokes: Math.round(lerp(a.spokes, b.spokes, t)),
+    radiusBase: lerp(a.radiusBase, b.radiusBase, t),
+    ringGap: lerp(a.ringGap, b.ringGap, t),
+  };
+}
+
+// Sliders interpolate; discrete settings switch over at the midpoint
+export function blendParams(a: SemagramParams, b: SemagramParams, t: number): SemagramParams {
+  const near = t < 0.5 ? a : b;
+  return {
+    ...near,
+    certainty: lerp(a.certainty, b.certainty, t),
+    modality: lerp(a.modality, b.modality, t),
+    temporality: lerp(a.temporality, b.temporality, t),
+    agency: lerp(a.agency, b.agency, t),
+    emphasis: lerp(a.emphasis, b.emphasis, t),
+  };
+}
+
+// --- Writing order ---
+// Playback draws a glyph the way ink spreads: ring by ring from the centre,
+// each ring's strokes in order around it (every arc from its start angle
+// towards its end, i.e. along its direction), then the joints out to the next
+// ring. Consecutive strokes overlap so a ring sweeps rather than ticks.
+export interface StrokeTiming {
+  start: number; // fractions of the whole animation
+  end: number;
+}
+
+export interface WritingSchedule {
+  segments: StrokeTiming[][];
+  connectors: StrokeTiming[][];
+  spurs: StrokeTiming[];
+  node: StrokeTiming;
+}
+
+export function writingSchedule(glyph: Glyph): WritingSchedule {
+  const slot = 1 / (glyph.rings * 2 - 1);
+  const stagger = (phase: number, j: number, n: number): StrokeTiming => {
+    const start = (phase + (j / Math.max(n, 1)) * 0.5) * slot;
+    return { start, end: start + slot * 0.5 };
+  };
+
+  // spurs are written with the ring they grow from, after its arcs
+  const spurRing = glyph.spurs.map((l) => clamp(Math.round((Math.hypot(l.x1, l.y1) - glyph.radiusBase) / glyph.ringGap), 0, glyph.rings - 1));
+  const ringSize = glyph.segments.map((ring, i) => ring.length + spurRing.filter((r) => r === i).length);
+  const next = glyph.segments.map((ring) => ring.length);
+
+  return {
+    segments: glyph.segments.map((ring, i) => ring.map((_, j) => stagger(2 * i, j, ringSize[i]))),
+    connectors: glyph.connectors.map((ring, i) => ring.map((_, j) => stagger(2 * i + 1, j, ring.length))),
+    spurs: spurRing.map((i) => stagger(2 * i, next[i]++, ringSize[i])),
+    node: { start: 0, end: slot },
+  };
+}
+
+// Bridges between composite clauses are written last, once both ends exist
+export const BRIDGE_TIMING: StrokeTiming = { start: 0.85, end: 1 };
+
+// How much of a stroke is drawn at playback position `progress` (0..1)
+export function strokeProgress(timing: StrokeTiming, progress: number) {
+  return clamp((progress - timing.start) / (timing.end - timing.start), 0, 1);
+}
+
+// --- Headless SVG rendering ---
+// String twins of SemagramSVG and the single-mode canvas in script.js, for Node,
+// the CLI and anything else without React or a DOM. Keep them in step.
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+export type LineCap = "round" | "butt" | "square";
+
+export interface RenderOptions {
+  color?: string;
+  size?: number;
+  margin?: number;
+  background?: string | null; // null leaves the canvas transparent
+  backgroundShape?: "disc" | "square"; // the lab's dark disc, or the whole canvas
+  lineCap?: LineCap; // default round
+  ink?: number; // 0..1 brush texture (see inkFilterMarkup); default none
+  lexicon?: GraphemeStore<WordGrapheme>;
+  xmlDeclaration?: boolean;
+  metadata?: DocumentMetadata; // see metadata.js
+}
+
+// Accessible name and description, plus JSON for tools to read back
+export interface DocumentMetadata {
+  title: string;
+  description: string;
+  data: unknown;
+}
+
+// One glyph of a multi-glyph document (composite layers, blends)
+export interface GlyphLayer {
+  glyph: Glyph;
+  params: SemagramParams;
+  color: string;
+  transform?: string;
+  opacity?: number;
+  bridges?: Line[]; // strokes joining the layer to its parent clause, in the layer's own space
+}
+
+// Per-stroke CSS animation for standalone animated exports
+export interface GlyphAnimation {
+  schedule: WritingSchedule;
+  duration: number; // seconds
+  id: string; // prefix for mask ids, unique within the document
+}
+
+// Strokes are drawn by animating stroke-dashoffset over a normalised
+// pathLength; dashed strokes keep their pattern and are revealed by a mask
+const ANIMATION_CSS =
+  ".hw-draw{stroke-dasharray:1 2;stroke-dashoffset:1.01;animation-name:hw-draw;animation-timing-function:ease-out;animation-fill-mode:forwards}" +
+  ".hw-fade{opacity:0;animation-name:hw-fade;animation-fill-mode:forwards}" +
+  "@keyframes hw-draw{to{stroke-dashoffset:0}}" +
+  "@keyframes hw-fade{to{opacity:1}}";
+
+function escapeAttr(value: string) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeText(value: string) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function attrs(a: Record<string, string | number | undefined>) {
+  return Object.entries(a)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeAttr(String(v))}"`)
+    .join("");
+}
+
+function animationTiming(t: StrokeTiming, animation?: GlyphAnimation) {
+  return animation ? `animation-delay:${(t.start * animation.duration).toFixed(3)}s;animation-duration:${((t.end - t.start) * animation.duration).toFixed(3)}s` : undefined;
+}
+
+function lineMarkup(c: Line, color: string, t: StrokeTiming, animation?: GlyphAnimation, lineCap: LineCap = "round") {
+  const draw = animation ? { pathLength: 1, class: "hw-draw", style: animationTiming(t, animation) } : {};
+  return `<line${attrs({ x1: c.x1, y1: c.y1, x2: c.x2, y2: c.y2, stroke: color, "stroke-width": c.w, "stroke-linecap": lineCap, opacity: c.opacity, ...draw })}/>`;
+}
+
+export function renderGlyphToSVGString(glyph: Glyph, params: SemagramParams, color: string, animation?: GlyphAnimation, lineCap: LineCap = "round") {
+  const out: string[] = ["<g>"];
+  let masks = 0;
+
+  const timing = (t: StrokeTiming) => animationTiming(t, animation);
+  const draw = (t: StrokeTiming) => (animation ? { pathLength: 1, class: "hw-draw", style: timing(t) } : {});
+  const line = (c: Line, t: StrokeTiming) => lineMarkup(c, color, t, animation, lineCap);
+
+  // Connectors
+  glyph.connectors.forEach((ring, i) => {
+    out.push(`<g${attrs({ opacity: ring[0]?.opacity ?? 0.3 })}>`);
+    ring.forEach((c, j) => out.push(line(c, animation?.schedule.connectors[i][j] ?? { start: 0, end: 1 })));
+    out.push("</g>");
+  });
+
+  // Segments
+  glyph.segments.forEach((ring, i) => {
+    out.push("<g>");
+    ring.forEach((seg, j) => {
+      const t = animation?.schedule.segments[i][j] ?? { start: 0, end: 1 };
+      const base = {
+        d: seg.d,
+        fill: "none",
+        stroke: color,
+        "stroke-width": seg.w,
+        "stroke-linecap": lineCap,
+        "stroke-linejoin": "round",
+        "stroke-dasharray": seg.dash,
+        opacity: seg.opacity,
+      };
+      if (animation && seg.dash) {
+        const id = `${animation.id}-m${masks++}`;
+        out.push(
+          `<mask${attrs({ id, maskUnits: "userSpaceOnUse", x: -1000, y: -1000, width: 2000, height: 2000 })}>` +
+            `<path${attrs({ d: seg.d, fill: "none", stroke: "#fff", "stroke-width": seg.w + 2, "stroke-linecap": "round", ...draw(t) })}/></mask>`
+        );
+        out.push(`<path${attrs({ ...base, mask: `url(#${id})` })}/>`);
+      } else {
+        out.push(`<path${attrs({ ...base, ...draw(t) })}/>`);
+      }
+    });
+    out.push("</g>");
+  });
+
+  // Word grapheme spurs
+  out.push("<g>");
+  glyph.spurs.forEach((c, k) => out.push(line(c, animation?.schedule.spurs[k] ?? { start: 0, end: 1 })));
+  out.push("</g>");
+
+  // Center node encodes agency & perspective
+  out.push(`<g${attrs(animation ? { class: "hw-fade", style: timing(animation.schedule.node) } : {})}>`);
+  out.push(`<circle${attrs({ cx: 0, cy: 0, r: lerp(6, 16, params.agency), fill: color, opacity: 0.28 + params.agency * 0.35 })}/>`);
+  if (params.perspective !== "1st") {
+    out.push(`<circle${attrs({ cx: 0, cy: 0, r: lerp(12, 22, params.agency), fill: "none", stroke: color, opacity: 0.18 })}/>`);
+  }
+  out.push("</g>");
+
+  out.push("</g>");
+  return out.join("");
+}
+
+// Glyph space is a fixed 640-unit square; `size` only sets the pixel size
+const CANVAS_SIZE = 640;
+
+export const INK_FILTER_ID = "hw-ink";
+
+// Brush texture: low-frequency noise pushes stroke edges in and out, so a
+// stroke swells and thins along its length, and a little blur bleeds the ink
+export function inkFilterMarkup(ink: number, id = INK_FILTER_ID) {
+  const n = (v: number) => Number(v.toFixed(2));
+  return (
+    `<filter${attrs({ id, filterUnits: "userSpaceOnUse", x: -1000, y: -1000, width: 2000, height: 2000 })}>` +
+    `<feTurbulence${attrs({ type: "fractalNoise", baseFrequency: 0.045, numOctaves: 3, seed: 7, result: "grain" })}/>` +
+    `<feDisplacementMap${attrs({ in: "SourceGraphic", in2: "grain", scale: n(lerp(0, 10, ink)), xChannelSelector: "R", yChannelSelector: "G", result: "rough" })}/>` +
+    `<feGaussianBlur${attrs({ in: "rough", stdDeviation: n(ink * 0.8) })}/>` +
+    "</filter>"
+  );
+}
+
+function svgDocument(body: string, options: RenderOptions) {
+  const { size = CANVAS_SIZE, margin = 36, background = "#0a0a0a", backgroundShape = "disc", ink = 0, xmlDeclaration = true, metadata } = options;
+  const half = CANVAS_SIZE / 2 + margin;
+
+  const backdrop =
+    backgroundShape === "disc"
+      ? `<circle${attrs({ cx: 0, cy: 0, r: CANVAS_SIZE / 2, fill: background ?? undefined })}/>`
+      : `<rect${attrs({ x: -half, y: -half, width: half * 2, height: half * 2, fill: background ?? undefined })}/>`;
+
+  const svg = [
+    `<svg${attrs({ xmlns: SVG_NS, viewBox: `-${half} -${half} ${half * 2} ${half * 2}`, width: size, height: size, ...(metadata && { role: "img", "aria-labelledby": "hw-title hw-desc" }) })}>`,
+    metadata
+      ? `<title id="hw-title">${escapeText(metadata.title)}</title><desc id="hw-desc">${escapeText(metadata.description)}</desc>` +
+        `<metadata id="hw-metadata">${escapeText(JSON.stringify(metadata.data))}</metadata>`
+      : "",
+    background ? backdrop : "",
+    ink > 0 ? `<defs>${inkFilterMarkup(ink)}</defs><g filter="url(#${INK_FILTER_ID})">${body}</g>` : body,
+    "</svg>",
+  ].join("");
+
+  return (xmlDeclaration ? '<?xml version="1.0" standalone="no"?>\n' : "") + svg;
+}
+
+// A complete standalone SVG document for one proposition
+export function renderSemagramToSVGString(params: SemagramParams, options: RenderOptions = {}) {
+  const glyph = generateSegments(params, options.lexicon);
+  return svgDocument(renderGlyphToSVGString(glyph, params, options.color ?? "#fafafa", undefined, options.lineCap), options);
+}
+
+// A standalone document whose glyphs write themselves out when opened, with
+// no script: every stroke carries its own CSS animation delay and duration
+export function renderAnimatedSVGString(layers: GlyphLayer[], options: RenderOptions & { duration?: number } = {}) {
+  const duration = options.duration ?? 6;
+  const body = layers.map((layer, i) => layerMarkup(layer, options, { schedule: writingSchedule(layer.glyph), duration, id: `hw${i}` })).join("");
+  return svgDocument(`<style>${ANIMATION_CSS}</style>${body}`, options);
+}
+
+// A standalone document for whatever the canvas shows; `color`, when given,
+// replaces every layer's own colour
+export function renderLayersToSVGString(layers: GlyphLayer[], options: RenderOptions = {}) {
+  return svgDocument(layers.map((layer) => layerMarkup(layer, options)).join(""), options);
+}
+
+function layerMarkup(layer: GlyphLayer, options: RenderOptions, animation?: GlyphAnimation) {
+  const stroke = options.color ?? layer.color;
+  const bridges = (layer.bridges ?? []).map((c) => lineMarkup(c, stroke, BRIDGE_TIMING, animation, options.lineCap)).join("");
+  const glyph = bridges + renderGlyphToSVGString(layer.glyph, layer.params, stroke, animation, options.lineCap);
+  return layer.transform || layer.opacity !== undefined ? `<g${attrs({ transform: layer.transform, opacity: layer.opacity })}>${glyph}</g>` : glyph;
+}
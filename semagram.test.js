@@ -0,0 +1,108 @@
+import { describe, expect, it } from "@jest/globals";
+import { arcPath, chooseSpokes, defaultParams, generateSegments, hashStringToInt, mulberry32, renderLayersToSVGString, splitContentWords } from "./semagram";
+
+describe("mulberry32", () => {
+  it("draws the same sequence from the same seed", () => {
+    const rng = mulberry32(1);
+    expect([rng(), rng(), rng()]).toEqual([0.6270739405881613, 0.002735721180215478, 0.5274470399599522]);
+  });
+
+  it("stays in [0, 1)", () => {
+    const rng = mulberry32(hashStringToInt("range"));
+    for (let i = 0; i < 1000; i++) {
+      const x = rng();
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    }
+  });
+
+  it("diverges for neighbouring seeds", () => {
+    expect(mulberry32(1)()).not.toBe(mulberry32(2)());
+  });
+});
+
+describe("hashStringToInt", () => {
+  it("is 32-bit FNV-1a over UTF-16 code units", () => {
+    expect(hashStringToInt("")).toBe(2166136261);
+    expect(hashStringToInt("a")).toBe(3826002220);
+    expect(hashStringToInt("arrival")).toBe(1165549234);
+  });
+
+  it("hashes composed and decomposed accents alike", () => {
+    expect(hashStringToInt("cafe\u0301")).toBe(hashStringToInt("caf\u00e9"));
+    expect(hashStringToInt("caf\u00e9")).toBe(856211068);
+  });
+});
+
+describe("arcPath", () => {
+  it("draws a quarter turn clockwise on screen", () => {
+    expect(arcPath(0, 0, 100, 0, Math.PI / 2)).toBe("M 100.000 0.000 A 100.000 100.000 0 0 1 0.000 100.000");
+  });
+
+  it("sets the large-arc flag and sweeps backwards for negative spans", () => {
+    expect(arcPath(0, 0, 100, 0, -4)).toBe("M 100.000 0.000 A 100.000 100.000 0 1 0 -65.364 75.680");
+  });
+
+  it("draws about an offset centre", () => {
+    expect(arcPath(10, -5, 50, Math.PI, 0)).toBe("M -40.000 -5.000 A 50.000 50.000 0 0 0 60.000 -5.000");
+  });
+});
+
+describe("chooseSpokes", () => {
+  it.each([
+    [1, 7],
+    [2, 7],
+    [3, 7],
+    [5, 7],
+    [6, 9],
+    [8, 9],
+    [9, 11],
+    [12, 13],
+    [15, 17],
+    [18, 19],
+    [21, 19],
+    [30, 19],
+  ])("%i words give %i spokes", (words, spokes) => {
+    expect(chooseSpokes(words)).toBe(spokes);
+  });
+});
+
+describe("splitContentWords", () => {
+  it.each([
+    ["She was always there even before I knew her", ["she", "always", "there", "even", "before", "i", "knew", "her"]],
+    ["The cat is on a mat", ["cat", "on", "mat"]],
+    ["", []],
+    ["Élan, l'amour et la vie", ["élan", "amour", "vie"]],
+    ["L'été est là", ["été", "là"]],
+    ["Cet été la mer était calme", ["été", "mer", "calme"]],
+    ["Ces enfants aiment cette maison", ["enfants", "aiment", "maison"]],
+    ["Der Hund ist nicht hier", ["hund", "nicht", "hier"]],
+    ["言語は武器です", ["言語", "武器"]],
+    ["Don't stop—won't stop!", ["don't", "stop", "won't", "stop"]],
+  ])("%j", (text, words) => {
+    expect(splitContentWords(text)).toEqual(words);
+  });
+});
+
+describe("generateSegments", () => {
+  it("draws the same glyph from the same params", () => {
+    const p = { ...defaultParams, proposition: "Arrival", seed: "arrival" };
+    expect(generateSegments(p)).toEqual(generateSegments({ ...p }));
+  });
+
+  it("draws a different glyph from another seed", () => {
+    const p = { ...defaultParams, proposition: "Arrival" };
+    expect(generateSegments({ ...p, seed: "a" })).not.toEqual(generateSegments({ ...p, seed: "b" }));
+  });
+});
+
+describe("renderLayersToSVGString", () => {
+  const p = { ...defaultParams, proposition: "Arrival" };
+  const layers = [{ glyph: generateSegments(p), params: p, color: "#fafafa" }];
+
+  it("scales the drawing to the size instead of cropping it", () => {
+    const small = renderLayersToSVGString(layers, { size: 320 });
+    expect(small).toContain('viewBox="-356 -356 712 712" width="320" height="320"');
+    expect(small.replace(/ width="320" height="320"/, ' width="640" height="640"')).toBe(renderLayersToSVGString(layers));
+  });
+});
@@ -0,0 +1,57 @@
+// Local semagram API (routes in api.js)
+//
+//   POST /api/semagram             SemagramParams JSON -> image/svg+xml
+//   GET  /api/semagram/:id         a past render
+//   GET  /api/semagram/:id/params  its sidecar: params, resolved theme, tidy
+//
+// Configuration comes from the environment or a .env file next to the process
+// (see .env.example): PORT, HOST, ARCHIVE_DIR, GRAPHEME_DIR, CORS_ORIGIN.
+import { readFileSync } from "fs";
+import http from "http";
+import path from "path";
+import { createApiHandler } from "./api";
+import { createGraphemeStore } from "./graphemeStore";
+import { jsonDirectoryBackend } from "./graphemeStoreNode";
+import { isWordGrapheme } from "./semagram";
+
+// --- .env ---
+// KEY=value lines; real environment variables win over the file
+function loadEnv(file = ".env") {
+  let text: string;
+  try {
+    text = readFileSync(file, "utf8");
+  } catch {
+    return;
+  }
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!m || process.env[m[1]] !== undefined) continue;
+    process.env[m[1]] = m[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+}
+
+loadEnv();
+
+const config = {
+  port: Number(process.env.PORT) || 8787,
+  host: process.env.HOST || "127.0.0.1",
+  archiveDir: path.resolve(process.env.ARCHIVE_DIR || "archive"),
+  graphemeDir: path.resolve(process.env.GRAPHEME_DIR || "graphemes"),
+  corsOrigin: process.env.CORS_ORIGIN || "*",
+};
+
+const lexicon = createGraphemeStore(jsonDirectoryBackend(config.graphemeDir), isWordGrapheme);
+
+const server = http.createServer(createApiHandler(config, lexicon));
+
+lexicon
+  .load()
+  .then(() => {
+    server.listen(config.port, config.host, () => {
+      console.log(`heptapod API on http://${config.host}:${config.port} (archive: ${config.archiveDir}, graphemes: ${config.graphemeDir})`);
+    });
+  })
+  .catch((err) => {
+    console.error("Could not load graphemes", err);
+    process.exit(1);
+  });
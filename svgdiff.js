@@ -0,0 +1,50 @@
+// svgdiff: overlay two semagram SVGs to see what moved
+//
+//   svgdiff golden/single-arrival.svg /tmp/heptapod-golden-diff/single-arrival.actual.svg
+//   svgdiff before.svg after.svg --out diff.svg
+//
+// Strokes in both come out grey, only in the first red, only in the second
+// green. Exits 0 when the drawings match, 1 when they differ and 2 on
+// trouble, as diff does.
+import { promises as fs } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { diffSVG } from "./golden";
+
+const USAGE = `Usage: svgdiff [options] <first.svg> <second.svg>
+
+Options:
+  -o, --out <path>   where to write the overlay (default: diff.svg)
+  -h, --help`;
+
+function fail(message: string): never {
+  console.error(`svgdiff: ${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o", default: "diff.svg" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 2) fail("expected two SVG files");
+
+  const [a, b] = positionals;
+  const diff = diffSVG(await fs.readFile(a, "utf8"), await fs.readFile(b, "utf8"), [path.basename(a), path.basename(b)]);
+  await fs.writeFile(values.out!, diff.svg);
+  console.log(`${values.out}: ${diff.common} in both, ${diff.removed} only in ${a}, ${diff.added} only in ${b}`);
+  if (diff.removed || diff.added) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(`svgdiff: ${err instanceof Error ? err.message : err}`);
+  process.exit(2);
+});
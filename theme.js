@@ -0,0 +1,115 @@
+// --- Themes ---
+// Everything about how a glyph is inked rather than what it says: stroke and
+// background colours, the colour ramp for layered glyphs, line caps and the
+// brush texture. Presets ship with the lab; any theme saves as a small JSON
+// document and loads back through parseThemeDocument.
+import { type LineCap, type RenderOptions } from "./semagram";
+
+export interface Theme {
+  name: string;
+  stroke: string; // single and blend glyphs
+  ramp: string[]; // composite clauses by depth, first colour outermost
+  background: string | null; // null leaves the canvas transparent
+  backgroundShape: "disc" | "square";
+  lineCap: LineCap;
+  ink: number; // 0 clean vector strokes .. 1 heavy brush texture
+}
+
+export interface ThemeDocument {
+  format: "heptapod-theme";
+  version: 1;
+  theme: Theme;
+}
+
+export const THEME_PRESETS: Theme[] = [
+  {
+    name: "Lab",
+    stroke: "#fafafa",
+    ramp: ["#fafafa", "#d1d5db", "#a3a3a3", "#e5e7eb", "#cbd5e1"],
+    background: "#0a0a0a",
+    backgroundShape: "disc",
+    lineCap: "round",
+    ink: 0,
+  },
+  {
+    name: "Arrival ink",
+    stroke: "#15130f",
+    ramp: ["#15130f", "#2b2824", "#45413b", "#5c5851"],
+    background: "#d8d4cb",
+    backgroundShape: "square",
+    lineCap: "round",
+    ink: 0.75,
+  },
+  {
+    name: "Light paper",
+    stroke: "#1f2937",
+    ramp: ["#1f2937", "#4b5563", "#6b7280", "#78716c"],
+    background: "#f7f3ea",
+    backgroundShape: "square",
+    lineCap: "round",
+    ink: 0.2,
+  },
+  {
+    name: "High contrast",
+    stroke: "#ffffff",
+    ramp: ["#ffffff", "#ffd60a", "#00e5ff", "#ff5cf0"],
+    background: "#000000",
+    backgroundShape: "square",
+    lineCap: "butt",
+    ink: 0,
+  },
+];
+
+export const defaultTheme = THEME_PRESETS[0];
+
+const LINE_CAPS: LineCap[] = ["round", "butt", "square"];
+
+const slug = (name: string) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+
+// By name, case and punctuation aside: "arrival-ink" finds "Arrival ink"
+export function findTheme(name: string) {
+  return THEME_PRESETS.find((t) => slug(t.name) === slug(name));
+}
+
+// Colours are taken as given, like RenderOptions.color; anything else is
+// checked. Missing fields keep `base`'s.
+export function parseTheme(input: unknown, base: Theme = defaultTheme): Theme {
+  if (!input || typeof input !== "object") throw new Error("Theme must be an object");
+  const t = { ...base, ...(input as Partial<Theme>) };
+  if (typeof t.name !== "string" || !t.name.trim()) throw new Error("Theme needs a name");
+  if (typeof t.stroke !== "string" || !t.stroke) throw new Error("stroke must be a colour");
+  if (!Array.isArray(t.ramp) || !t.ramp.length || t.ramp.some((c) => typeof c !== "string" || !c)) {
+    throw new Error("ramp must be a non-empty list of colours");
+  }
+  if (t.background !== null && (typeof t.background !== "string" || !t.background)) throw new Error("background must be a colour or null");
+  if (t.backgroundShape !== "disc" && t.backgroundShape !== "square") throw new Error("backgroundShape must be disc or square");
+  if (!LINE_CAPS.includes(t.lineCap)) throw new Error(`lineCap must be one of ${LINE_CAPS.join(", ")}`);
+  if (typeof t.ink !== "number" || !(t.ink >= 0 && t.ink <= 1)) throw new Error("ink must be a number between 0 and 1");
+  return { name: t.name.trim(), stroke: t.stroke, ramp: [...t.ramp], background: t.background, backgroundShape: t.backgroundShape, lineCap: t.lineCap, ink: t.ink };
+}
+
+// The colour as #rrggbb, the only form a colour picker takes: #rgb is
+// expanded, and anything else (names, rgb(), alpha) gives null
+export function hexColor(color: string) {
+  const c = color.trim().toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(c)) return c;
+  if (/^#[0-9a-f]{3}$/.test(c)) return `#${c[1]}${c[1]}${c[2]}${c[2]}${c[3]}${c[3]}`;
+  return null;
+}
+
+export function themeDocument(theme: Theme): ThemeDocument {
+  return { format: "heptapod-theme", version: 1, theme };
+}
+
+export function parseThemeDocument(doc: unknown): Theme {
+  const d = doc as Partial<ThemeDocument> | null;
+  if (!d || d.format !== "heptapod-theme") throw new Error("Not a heptapod theme document");
+  if (d.version !== 1) throw new Error(`Unsupported theme version: ${d.version}`);
+  return parseTheme(d.theme);
+}
+
+// What the headless renderers take from a theme. No `color`: layered documents
+// keep each layer's own, so single-glyph callers add theme.stroke themselves.
+export function themeRenderOptions(theme: Theme): RenderOptions {
+  return { background: theme.background, backgroundShape: theme.backgroundShape, lineCap: theme.lineCap, ink: theme.ink };
+}
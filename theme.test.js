@@ -0,0 +1,67 @@
+import { describe, expect, it } from "@jest/globals";
+import { THEME_PRESETS, defaultTheme, findTheme, hexColor, parseTheme, parseThemeDocument, themeDocument, themeRenderOptions } from "./theme";
+
+describe("findTheme", () => {
+  it("finds presets by name, case and punctuation aside", () => {
+    expect(findTheme("arrival-ink")?.name).toBe("Arrival ink");
+    expect(findTheme("  HIGH contrast ")?.name).toBe("High contrast");
+    expect(findTheme("sepia")).toBeUndefined();
+  });
+});
+
+describe("parseTheme", () => {
+  it("accepts every preset as is", () => {
+    for (const t of THEME_PRESETS) expect(parseTheme(t)).toEqual(t);
+  });
+
+  it("keeps the base's fields where the input has none", () => {
+    const arrival = findTheme("arrival-ink")!;
+    expect(parseTheme({ stroke: "rebeccapurple", background: null }, arrival)).toEqual({ ...arrival, stroke: "rebeccapurple", background: null });
+  });
+
+  it.each([
+    [null, "Theme must be an object"],
+    [{ name: " " }, "Theme needs a name"],
+    [{ stroke: "" }, "stroke must be a colour"],
+    [{ ramp: [] }, "ramp must be a non-empty list of colours"],
+    [{ background: 0 }, "background must be a colour or null"],
+    [{ backgroundShape: "hex" }, "backgroundShape must be disc or square"],
+    [{ lineCap: "pointy" }, "lineCap must be one of round, butt, square"],
+    [{ ink: 2 }, "ink must be a number between 0 and 1"],
+  ])("rejects %j", (input, message) => {
+    expect(() => parseTheme(input)).toThrow(message);
+  });
+});
+
+describe("hexColor", () => {
+  it.each([
+    ["#0a0a0a", "#0a0a0a"],
+    [" #FFD60A ", "#ffd60a"],
+    ["#fff", "#ffffff"],
+    ["#1f2", "#11ff22"],
+    ["rebeccapurple", null],
+    ["rgb(0 0 0)", null],
+    ["#11223344", null],
+    ["#12", null],
+  ])("%j is %j", (color, hex) => {
+    expect(hexColor(color)).toBe(hex);
+  });
+});
+
+describe("theme documents", () => {
+  it("round-trip", () => {
+    const theme = { ...defaultTheme, name: "Mine", ramp: ["#111", "hsl(0 0% 50%)"] };
+    expect(parseThemeDocument(JSON.parse(JSON.stringify(themeDocument(theme))))).toEqual(theme);
+  });
+
+  it("reject other documents", () => {
+    expect(() => parseThemeDocument({ theme: defaultTheme })).toThrow("Not a heptapod theme document");
+    expect(() => parseThemeDocument({ ...themeDocument(defaultTheme), version: 2 })).toThrow("Unsupported theme version: 2");
+  });
+});
+
+describe("themeRenderOptions", () => {
+  it("passes on everything but the colours of strokes", () => {
+    expect(themeRenderOptions(findTheme("light-paper")!)).toEqual({ background: "#f7f3ea", backgroundShape: "square", lineCap: "round", ink: 0.2 });
+  });
+});
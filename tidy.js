@@ -0,0 +1,258 @@
+// --- Geometry tidy pass ---
+// An optional stage between the generator and any renderer. generateSegments
+// places every arc on its own, so arcs on one ring overlap and double-stroke
+// and joints can end where no arc passes. tidyGlyph merges what overlaps,
+// trims what hides under a wider stroke, opens near-miss gaps, snaps joints
+// onto arcs and puts each ring's parts in order around it. Hand edits address
+// parts by index, so overrides apply before tidying, never after.
+import { TAU, arcSegment, polar, type Glyph, type Line, type Segment } from "./semagram";
+
+export interface TidyOptions {
+  minGap?: number; // smallest visible gap between strokes on a ring, in glyph units
+  minArc?: number; // pieces shorter than this are dropped, in glyph units
+  widthTolerance?: number; // arcs this close in width (relative) merge as one stroke
+  snapDistance?: number; // joints end on the nearest arc within this distance
+}
+
+const DEFAULTS: Required<TidyOptions> = { minGap: 3, minArc: 2, widthTolerance: 0.15, snapDistance: 10 };
+
+// arcPath cannot draw a closed circle, so a merged full ring stops just short
+const FULL_TURN = TAU - 1e-3;
+
+// --- Angular spans ---
+// Forward spans about a ring's centre: start in [0, TAU), length in radians
+interface Span {
+  s: number;
+  len: number;
+}
+
+const mod = (a: number) => ((a % TAU) + TAU) % TAU;
+
+function spanOf(arc: Segment["arc"]): Span {
+  return { s: mod(Math.min(arc.a0, arc.a1)), len: Math.min(Math.abs(arc.a1 - arc.a0), TAU) };
+}
+
+// Union of spans, closing gaps up to `join` radians, wrap-around included
+function unionSpans(spans: Span[], join: number): Span[] {
+  const out: Span[] = [];
+  for (const sp of [...spans].sort((a, b) => a.s - b.s)) {
+    const last = out[out.length - 1];
+    if (last && sp.s <= last.s + last.len + join) last.len = Math.max(last.len, sp.s + sp.len - last.s);
+    else out.push({ ...sp });
+  }
+  while (out.length > 1 && out[out.length - 1].s + out[out.length - 1].len + join >= out[0].s + TAU) {
+    const first = out.shift()!;
+    const last = out[out.length - 1];
+    last.len = Math.max(last.len, first.s + TAU + first.len - last.s);
+  }
+  return out.map((sp) => ({ s: sp.s, len: Math.min(sp.len, FULL_TURN) }));
+}
+
+// What is left of `span` once every span in `cuts` is taken out
+function subtractSpans(span: Span, cuts: Span[]): Span[] {
+  const removed: Span[] = [];
+  for (const c of cuts) {
+    const at = mod(c.s - span.s);
+    // a cut can reach into the span from its far side or wrap round to its start
+    for (const from of [at, at - TAU]) {
+      const s = Math.max(0, from);
+      const e = Math.min(span.len, from + c.len);
+      if (e > s) removed.push({ s, len: e - s });
+    }
+  }
+  const pieces: Span[] = [];
+  let at = 0;
+  for (const r of removed.sort((a, b) => a.s - b.s)) {
+    if (r.s > at) pieces.push({ s: mod(span.s + at), len: r.s - at });
+    at = Math.max(at, r.s + r.len);
+  }
+  if (at < span.len) pieces.push({ s: mod(span.s + at), len: span.len - at });
+  return pieces;
+}
+
+// --- Rings ---
+interface Piece {
+  span: Span;
+  w: number;
+  opacity: number;
+}
+
+// Arcs about one centre at one radius with one dash pattern: widths within
+// tolerance merge into a single stroke, narrower strokes give up whatever a
+// wider one already covers
+function tidyArcs(arcs: Segment[], r: number, o: Required<TidyOptions>): Piece[] {
+  const byWidth = [...arcs].sort((a, b) => b.w - a.w);
+  const classes: Segment[][] = [];
+  for (const seg of byWidth) {
+    const top = classes[classes.length - 1];
+    if (top && seg.w >= top[0].w * (1 - o.widthTolerance)) top.push(seg);
+    else classes.push([seg]);
+  }
+
+  const pieces: Piece[] = [];
+  const covered: Span[] = [];
+  for (const cls of classes) {
+    const w = cls[0].w;
+    const opacity = Math.max(...cls.map((s) => s.opacity));
+    // strokes whose round caps already touch are one stroke on paper
+    const merged = unionSpans(cls.map((s) => spanOf(s.arc)), w / r);
+    for (const span of merged) {
+      for (const piece of subtractSpans(span, covered)) {
+        if (piece.len * r >= o.minArc) pieces.push({ span: piece, w, opacity });
+      }
+    }
+    covered.push(...merged);
+  }
+  return openGaps(pieces, r, o);
+}
+
+// Neighbours that nearly touch read as a smudge: pull both ends back until the
+// gap between their caps is minGap. Pieces that meet exactly (one trimmed under
+// a wider stroke) are a single line of ink and stay joined.
+function openGaps(pieces: Piece[], r: number, o: Required<TidyOptions>): Piece[] {
+  const ring = pieces.sort((a, b) => a.span.s - b.span.s);
+  if (ring.length < 2) return ring;
+  ring.forEach((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    const gap = mod(b.span.s - (a.span.s + a.span.len)) * r;
+    const visible = gap - (a.w + b.w) / 2;
+    if (gap < 1e-6 || visible >= o.minGap) return;
+    const trim = (o.minGap - visible) / 2 / r;
+    if ((a.span.len - trim) * r < o.minArc || (b.span.len - trim) * r < o.minArc) return;
+    a.span.len -= trim;
+    b.span = { s: mod(b.span.s + trim), len: b.span.len - trim };
+  });
+  return ring;
+}
+
+const isRingArc = (seg: Segment) => seg.kind === "arc" && Math.hypot(seg.arc.cx, seg.arc.cy) < 1e-6;
+
+function tidyRing(ring: Segment[], o: Required<TidyOptions>): Segment[] {
+  const groups = new Map<string, Segment[]>();
+  for (const seg of ring.filter(isRingArc)) {
+    const key = `${seg.arc.r.toFixed(2)}|${seg.dash ?? ""}`;
+    groups.set(key, [...(groups.get(key) ?? []), seg]);
+  }
+
+  const arcs: Segment[] = [];
+  for (const group of groups.values()) {
+    const { r } = group[0].arc;
+    for (const p of tidyArcs(group, r, o)) {
+      arcs.push(arcSegment("arc", { cx: 0, cy: 0, r, a0: p.span.s, a1: p.span.s + p.span.len }, p.w, p.opacity, group[0].dash));
+    }
+  }
+  // hooks curl about their own centres and are kept as drawn
+  return [...arcs, ...ring.filter((seg) => !isRingArc(seg))].sort((a, b) => startAngle(a) - startAngle(b));
+}
+
+// Where a part sits around the glyph centre, for ordering a ring
+function startAngle(seg: Segment) {
+  const { x, y } = polar(seg.arc.cx, seg.arc.cy, seg.arc.r, seg.arc.a0);
+  return mod(Math.atan2(y, x));
+}
+
+// --- Joints ---
+function nearestOnArc(arc: Segment["arc"], x: number, y: number) {
+  const span = spanOf(arc);
+  const off = mod(Math.atan2(y - arc.cy, x - arc.cx) - span.s);
+  // outside the span, the closer end
+  const t = off <= span.len ? off : off - span.len < TAU - off ? span.len : 0;
+  return polar(arc.cx, arc.cy, arc.r, span.s + t);
+}
+
+function snapPoint(segments: Segment[], x: number, y: number, o: Required<TidyOptions>) {
+  let best = { x, y };
+  let bestD = o.snapDistance;
+  for (const seg of segments) {
+    const p = nearestOnArc(seg.arc, x, y);
+    const d = Math.hypot(p.x - x, p.y - y);
+    if (d < bestD) {
+      best = p;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+function snapLine(c: Line, segments: Segment[], o: Required<TidyOptions>): Line {
+  const p1 = snapPoint(segments, c.x1, c.y1, o);
+  const p2 = snapPoint(segments, c.x2, c.y2, o);
+  return { ...c, x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+}
+
+const lineAngle = (c: Line) => mod(Math.atan2(c.y1 + c.y2, c.x1 + c.x2));
+
+export function tidyGlyph(glyph: Glyph, options: TidyOptions = {}): Glyph {
+  const o = { ...DEFAULTS, ...options };
+  const segments = glyph.segments.map((ring) => tidyRing(ring, o));
+  // a joint between rings i and i+1 lands on whichever of their parts is nearest
+  const connectors = glyph.connectors.map((ring, i) =>
+    ring.map((c) => snapLine(c, [...(segments[i] ?? []), ...(segments[i + 1] ?? [])], o)).sort((a, b) => lineAngle(a) - lineAngle(b))
+  );
+  return { ...glyph, segments, connectors };
+}
+
+// --- Stroke order ---
+// Every part of a glyph as one pen stroke, for plotters and cutters that draw
+// strokes in the order given
+export type Stroke = { kind: "arc"; arc: Segment["arc"]; w: number; dash?: string } | { kind: "line"; x1: number; y1: number; x2: number; y2: number; w: number };
+
+export function glyphStrokes(glyph: Glyph): Stroke[] {
+  const line = (c: Line): Stroke => ({ kind: "line", x1: c.x1, y1: c.y1, x2: c.x2, y2: c.y2, w: c.w });
+  return [
+    ...glyph.segments.flat().map((seg): Stroke => ({ kind: "arc", arc: seg.arc, w: seg.w, dash: seg.dash })),
+    ...glyph.connectors.flat().map(line),
+    ...glyph.spurs.map(line),
+  ];
+}
+
+export function strokeEnds(s: Stroke) {
+  return s.kind === "arc" ? [polar(s.arc.cx, s.arc.cy, s.arc.r, s.arc.a0), polar(s.arc.cx, s.arc.cy, s.arc.r, s.arc.a1)] : [{ x: s.x1, y: s.y1 }, { x: s.x2, y: s.y2 }];
+}
+
+// The same stroke drawn from its other end; anything else on it is kept
+export function reverseStroke<S extends Stroke>(s: S): S {
+  return s.kind === "arc" ? { ...s, arc: { ...s.arc, a0: s.arc.a1, a1: s.arc.a0 } } : { ...s, x1: s.x2, y1: s.y2, x2: s.x1, y2: s.y1 };
+}
+
+// Nearest neighbour from `from`: each next stroke is the one with an end
+// closest to where the pen lifted, drawn from that end. Not optimal, but it
+// cuts pen-up travel to a fraction of generation order. Strokes drawn as
+// given come back as the same objects, reversed ones as copies.
+export function orderStrokes<S extends Stroke>(strokes: S[], from = { x: 0, y: 0 }): S[] {
+  const left = [...strokes];
+  const out: S[] = [];
+  let at = from;
+  while (left.length) {
+    let best = 0;
+    let flip = false;
+    let bestD = Infinity;
+    left.forEach((s, i) => {
+      const [a, b] = strokeEnds(s);
+      const da = Math.hypot(a.x - at.x, a.y - at.y);
+      const db = Math.hypot(b.x - at.x, b.y - at.y);
+      if (Math.min(da, db) < bestD) {
+        bestD = Math.min(da, db);
+        best = i;
+        flip = db < da;
+      }
+    });
+    const next = flip ? reverseStroke(left[best]) : left[best];
+    left.splice(best, 1);
+    out.push(next);
+    at = strokeEnds(next)[1];
+  }
+  return out;
+}
+
+// Pen-up distance from `from` through every stroke in order
+export function travelDistance(strokes: Stroke[], from = { x: 0, y: 0 }) {
+  let at = from;
+  let total = 0;
+  for (const s of strokes) {
+    const [a, b] = strokeEnds(s);
+    total += Math.hypot(a.x - at.x, a.y - at.y);
+    at = b;
+  }
+  return total;
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "@jest/globals";
+import { arcSegment, defaultParams, generateSegments, type Glyph, type Segment } from "./semagram";
+import { glyphStrokes, orderStrokes, reverseStroke, strokeEnds, tidyGlyph, travelDistance, type Stroke } from "./tidy";
+
+const R = 100;
+const arc = (a0: number, a1: number, w = 4) => arcSegment("arc", { cx: 0, cy: 0, r: R, a0, a1 }, w, 0.8);
+const ring = (...segments: Segment[]): Glyph => ({ segments: [segments], connectors: [], spurs: [], graphemes: [], rings: 1, spokes: 0, radiusBase: R, ringGap: 28 });
+const spans = (g: Glyph) => g.segments[0].map((s) => [s.arc.a0, s.arc.a1, s.w].map((n) => Number(n.toFixed(4))));
+
+describe("tidyGlyph", () => {
+  it("merges overlapping arcs of about one width into one stroke, as wide as the widest", () => {
+    expect(spans(tidyGlyph(ring(arc(0, 1), arc(0.5, 1.5, 4.2))))).toEqual([[0, 1.5, 4.2]]);
+  });
+
+  it("trims a narrower arc to what a wider one leaves showing", () => {
+    expect(spans(tidyGlyph(ring(arc(0, 1, 8), arc(0.5, 2, 2))))).toEqual([
+      [0, 1, 8],
+      [1, 2, 2],
+    ]);
+  });
+
+  it("drops an arc a wider one hides", () => {
+    expect(spans(tidyGlyph(ring(arc(0, 2, 8), arc(0.5, 1, 2))))).toEqual([[0, 2, 8]]);
+  });
+
+  it("opens a gap too narrow to see to minGap", () => {
+    // caps 4 wide, 0.045 rad apart at r 100: 0.5 units of visible gap
+    const [a, b] = tidyGlyph(ring(arc(0, 1), arc(1.045, 2)), { minGap: 3 }).segments[0];
+    const visible = (b.arc.a0 - a.arc.a1) * R - (a.w + b.w) / 2;
+    expect(visible).toBeCloseTo(3, 6);
+    expect(a.arc.a0).toBe(0);
+    expect(b.arc.a1).toBeCloseTo(2, 6);
+  });
+
+  it("orders a ring's parts around it and keeps hooks as drawn", () => {
+    const hook = arcSegment("hook", { cx: R, cy: 0, r: 8, a0: 0, a1: 2 }, 3, 0.8);
+    const tidy = tidyGlyph(ring(arc(3, 4), hook, arc(1, 2)));
+    expect(tidy.segments[0].map((s) => s.kind)).toEqual(["hook", "arc", "arc"]);
+    expect(tidy.segments[0][0]).toBe(hook);
+  });
+
+  it("snaps joint ends onto the nearest arc within snapDistance", () => {
+    const g: Glyph = { ...ring(arc(0, 1)), segments: [[arc(0, 1)], [arcSegment("arc", { cx: 0, cy: 0, r: 130, a0: 0, a1: 1 }, 4, 0.8)]], rings: 2 };
+    g.connectors = [[{ x1: 97, y1: 20, x2: 131, y2: 20, w: 1, opacity: 0.5 }]];
+    const [c] = tidyGlyph(g).connectors[0];
+    expect(Math.hypot(c.x1, c.y1)).toBeCloseTo(100, 6);
+    expect(Math.hypot(c.x2, c.y2)).toBeCloseTo(130, 6);
+  });
+
+  it("leaves a tidied glyph as it is", () => {
+    const rounded = (g: Glyph) => JSON.parse(JSON.stringify(g, (_, v) => (typeof v === "number" ? Number(v.toFixed(6)) : v)));
+    const tidy = tidyGlyph(generateSegments({ ...defaultParams, proposition: "Arrival", seed: "arrival" }));
+    expect(rounded(tidyGlyph(tidy))).toEqual(rounded(tidy));
+  });
+});
+
+describe("orderStrokes", () => {
+  const strokes = glyphStrokes(generateSegments({ ...defaultParams, proposition: "The heptapods offered humanity a language", seed: "louise" }));
+
+  it("draws every stroke once, from one end or the other", () => {
+    const ordered = orderStrokes(strokes);
+    expect(ordered).toHaveLength(strokes.length);
+    const key = (s: Stroke) =>
+      strokeEnds(s)
+        .map((p) => `${p.x.toFixed(6)},${p.y.toFixed(6)}`)
+        .sort()
+        .join(" ");
+    expect(ordered.map(key).sort()).toEqual(strokes.map(key).sort());
+  });
+
+  it("cuts pen-up travel well below generation order", () => {
+    expect(travelDistance(orderStrokes(strokes))).toBeLessThan(travelDistance(strokes) / 2);
+  });
+
+  it("returns strokes drawn as given as the same objects", () => {
+    const line: Stroke = { kind: "line", x1: 0, y1: 0, x2: 10, y2: 0, w: 1 };
+    const back: Stroke = { kind: "line", x1: 30, y1: 0, x2: 11, y2: 0, w: 1 };
+    const [first, second] = orderStrokes([back, line]);
+    expect(first).toBe(line);
+    expect(second).toEqual(reverseStroke(back));
+  });
+});
+
+describe("reverseStroke", () => {
+  it("swaps a stroke's ends", () => {
+    const s: Stroke = { kind: "arc", arc: { cx: 0, cy: 0, r: R, a0: 0.2, a1: 1.4 }, w: 2, dash: "4 2" };
+    expect(strokeEnds(reverseStroke(s))).toEqual([...strokeEnds(s)].reverse());
+    expect(reverseStroke(reverseStroke(s))).toEqual(s);
+  });
+});
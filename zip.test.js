@@ -0,0 +1,92 @@
+import { afterAll, beforeAll, describe, expect, it } from "@jest/globals";
+import { spawnSync } from "child_process";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { crc32, zipFiles, type ZipFile } from "./zip";
+
+const utf8 = new TextEncoder();
+const files: ZipFile[] = [
+  { name: "svg/élan-1.svg", data: '<svg xmlns="http://www.w3.org/2000/svg"/>', date: new Date(2026, 0, 2, 3, 4, 6) },
+  { name: "bytes.bin", data: new Uint8Array([0, 1, 2, 255]) },
+  { name: "empty.txt", data: "" },
+];
+
+// The entries as the local headers list them, walked from the start
+function readEntries(zip: Uint8Array) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const out: Array<{ name: string; data: Uint8Array; crc: number; flags: number; time: number; date: number }> = [];
+  let at = 0;
+  while (view.getUint32(at, true) === 0x04034b50) {
+    const size = view.getUint32(at + 18, true);
+    const nameLength = view.getUint16(at + 26, true);
+    const start = at + 30 + nameLength;
+    out.push({
+      name: new TextDecoder().decode(zip.subarray(at + 30, start)),
+      data: zip.subarray(start, start + size),
+      crc: view.getUint32(at + 14, true),
+      flags: view.getUint16(at + 6, true),
+      time: view.getUint16(at + 10, true),
+      date: view.getUint16(at + 12, true),
+    });
+    at = start + size;
+  }
+  return { entries: out, centralAt: at };
+}
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(utf8.encode("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe("zipFiles", () => {
+  const zip = zipFiles(files);
+
+  it("stores every file as given, names in UTF-8", () => {
+    const { entries } = readEntries(zip);
+    expect(entries.map((e) => e.name)).toEqual(files.map((f) => f.name));
+    entries.forEach((e, i) => {
+      const data = files[i].data;
+      expect(e.data).toEqual(typeof data === "string" ? utf8.encode(data) : data);
+      expect(e.crc).toBe(crc32(e.data));
+      expect(e.flags).toBe(0x0800);
+    });
+  });
+
+  it("writes dates as MS-DOS local time", () => {
+    const [first] = readEntries(zip).entries;
+    expect(first.date).toBe((46 << 9) | (1 << 5) | 2);
+    expect(first.time).toBe((3 << 11) | (4 << 5) | 3);
+  });
+
+  it("ends with a directory that points back at the entries", () => {
+    const view = new DataView(zip.buffer);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(files.length);
+    expect(view.getUint32(end + 16, true)).toBe(readEntries(zip).centralAt);
+    expect(view.getUint32(end + 12, true)).toBe(end - readEntries(zip).centralAt);
+  });
+
+  describe("read by unzip", () => {
+    const hasUnzip = spawnSync("unzip", ["-v"]).status === 0;
+    let dir: string;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "heptapod-zip-"));
+      await fs.writeFile(path.join(dir, "out.zip"), zip);
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    (hasUnzip ? it : it.skip)("passes its integrity test", () => {
+      const test = spawnSync("unzip", ["-t", path.join(dir, "out.zip")], { encoding: "utf8" });
+      expect(test.status).toBe(0);
+      expect(test.stdout).toContain("No errors detected");
+    });
+  });
+});